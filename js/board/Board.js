@@ -4,7 +4,8 @@
  *
  * Le plateau stocke toutes les tuiles dans une Map indexée par
  * coordonnées axiales. Il gère la révélation progressive du
- * brouillard de guerre et les requêtes de voisinage.
+ * brouillard de guerre (selon la ligne de vue du gardien) et les
+ * requêtes de voisinage.
  */
 
 import { Tile, TILE_TYPES, FOG_STATES } from './Tile.js';
@@ -19,6 +20,70 @@ const AXIAL_DIRECTIONS = Object.freeze([
   { dq:  0, dr: +1 },   // Sud-Est
 ]);
 
+// --- Nombre d'explorations sans revoir une tuile avant qu'elle ne soit
+// plus qu'un souvenir (FOG_STATES.REMEMBERED) ---
+const MEMORY_TURNS = 6;
+
+// --- Décalage appliqué aux lignes de vue qui longent une arête ---
+// Une ligne passant exactement entre deux hexagones est tracée des deux
+// côtés : la vue passe si l'un des deux tracés est dégagé.
+const LINE_NUDGE = 1e-6;
+
+/**
+ * Distance hexagonale entre deux positions axiales
+ * @returns {number}
+ */
+function hexDistance(q1, r1, q2, r2) {
+  return Math.max(
+    Math.abs(q1 - q2),
+    Math.abs(r1 - r2),
+    Math.abs((-q1 - r1) - (-q2 - r2))
+  );
+}
+
+/**
+ * Arrondit une position fractionnaire à l'hexagone le plus proche
+ * (arrondi en coordonnées cubiques, on corrige l'axe le plus éloigné)
+ * @returns {{ q: number, r: number }}
+ */
+function hexRound(q, r) {
+  const s  = -q - r;
+  let   rq = Math.round(q);
+  let   rr = Math.round(r);
+  const rs = Math.round(s);
+
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+
+  if (dq > dr && dq > ds) {
+    rq = -rr - rs;
+  } else if (dr > ds) {
+    rr = -rq - rs;
+  }
+  return { q: rq, r: rr };
+}
+
+/**
+ * Trace la ligne d'hexagones entre deux positions (extrémités comprises)
+ * @param {number} nudge — Décalage pour départager les arêtes
+ * @returns {Array<{ q: number, r: number }>}
+ */
+function hexLine(q1, r1, q2, r2, nudge = LINE_NUDGE) {
+  const steps = hexDistance(q1, r1, q2, r2);
+  const line  = [];
+
+  for (let i = 0; i <= steps; i++) {
+    const t = steps === 0 ? 0 : i / steps;
+    line.push(hexRound(
+      q1 + nudge + (q2 - q1) * t,
+      r1 + nudge + (r2 - r1) * t
+    ));
+  }
+
+  return line;
+}
+
 /**
  * Classe Board — Plateau de jeu hexagonal
  */
@@ -28,14 +93,40 @@ export class Board {
    *   provenant des données de la carte (island-map.js)
    */
   constructor(tileConfigs = []) {
+    // Configurations d'origine, pour remettre le plateau à neuf (reset)
+    this._tileConfigs = tileConfigs;
+
     // Stockage des tuiles dans une Map : clé "q,r" → instance Tile
     this._tiles = new Map();
 
-    // Création des instances de Tile à partir des configurations
-    for (const config of tileConfigs) {
+    // Compteur d'explorations, horloge de la mémoire du gardien
+    this.turn = 0;
+
+    this.reset();
+
+    // WeatherSystem — le temps du jour allonge ou raccourcit la vue
+    this._weather = null;
+  }
+
+  /**
+   * Branche la météo du jour (portée de vue)
+   * @param {Object|null} weather — Instance de WeatherSystem
+   */
+  setWeather(weather) {
+    this._weather = weather;
+  }
+
+  /**
+   * Remet toutes les tuiles dans leur état d'origine (brouillard, butin,
+   * obstacles), par exemple avant de rejouer une partie
+   */
+  reset() {
+    this._tiles.clear();
+    for (const config of this._tileConfigs) {
       const tile = new Tile(config);
       this._tiles.set(tile.getKey(), tile);
     }
+    this.turn = 0;
   }
 
   // =========================================================================
@@ -134,6 +225,7 @@ export class Board {
 
     // Révéler la tuile ciblée
     tile.fogState = FOG_STATES.REVEALED;
+    tile.lastSeen = this.turn;
 
     // Les voisins cachés deviennent des silhouettes brumeuses
     const neighbors = this.getNeighbors(q, r);
@@ -146,28 +238,100 @@ export class Board {
 
   /**
    * Explore complètement une tuile : marque comme visitée,
-   * révèle la tuile et ses voisins
+   * révèle la tuile et tout ce que le gardien voit depuis elle.
+   * Chaque exploration compte un tour pour la mémoire du gardien.
    * @param {number} q — Coordonnée Q
    * @param {number} r — Coordonnée R
+   * @returns {Array<Tile>} Tuiles vues depuis cette position
    */
   exploreTile(q, r) {
     const tile = this.getTile(q, r);
-    if (!tile) return;
+    if (!tile) return [];
+
+    this.turn++;
 
     // Marquer comme visitée et explorée
     tile.visited  = true;
     tile.explored = true;
 
-    // Révéler cette tuile (et mettre les voisins en brumeux)
-    this.revealTile(q, r);
+    // Révéler les tuiles visibles (et mettre leurs voisins en brumeux)
+    const visibleTiles = this.getVisibleTiles(q, r);
+    for (const visible of visibleTiles) {
+      this.revealTile(visible.q, visible.r);
+    }
+
+    this.fadeMemories();
+    return visibleTiles;
+  }
 
-    // Révéler également les tuiles voisines directes
-    const neighbors = this.getNeighbors(q, r);
-    for (const neighbor of neighbors) {
-      this.revealTile(neighbor.q, neighbor.r);
+  /**
+   * Les tuiles révélées que le gardien n'a pas revues depuis
+   * MEMORY_TURNS explorations ne sont plus que des souvenirs
+   */
+  fadeMemories() {
+    for (const tile of this._tiles.values()) {
+      if (tile.fogState !== FOG_STATES.REVEALED || tile.lastSeen === null) continue;
+      if (this.turn - tile.lastSeen >= MEMORY_TURNS) {
+        tile.fogState = FOG_STATES.REMEMBERED;
+      }
     }
   }
 
+  // =========================================================================
+  // Ligne de vue
+  // =========================================================================
+
+  /**
+   * Retourne les positions traversées par la ligne entre deux hexagones
+   * @param {number} q1 — Départ Q
+   * @param {number} r1 — Départ R
+   * @param {number} q2 — Arrivée Q
+   * @param {number} r2 — Arrivée R
+   * @returns {Array<{ q: number, r: number }>} Extrémités comprises
+   */
+  getLine(q1, r1, q2, r2) {
+    return hexLine(q1, r1, q2, r2);
+  }
+
+  /**
+   * Vérifie qu'aucune tuile intermédiaire ne masque la vue
+   * (les forêts arrêtent le regard, mais restent elles-mêmes visibles)
+   * @param {number} q1 — Position de l'observateur Q
+   * @param {number} r1 — Position de l'observateur R
+   * @param {number} q2 — Cible Q
+   * @param {number} r2 — Cible R
+   * @returns {boolean}
+   */
+  hasLineOfSight(q1, r1, q2, r2) {
+    const isClear = (line) => line.slice(1, -1).every(({ q, r }) => {
+      const tile = this.getTile(q, r);
+      return !tile || !tile.blocksSight();
+    });
+
+    return isClear(hexLine(q1, r1, q2, r2, LINE_NUDGE))
+      || isClear(hexLine(q1, r1, q2, r2, -LINE_NUDGE));
+  }
+
+  /**
+   * Retourne les tuiles visibles depuis une position : dans la portée
+   * de vue de la tuile occupée (corrigée par la météo, au moins 1 hors
+   * grottes) et non masquées par le relief
+   * @param {number} q — Position de l'observateur Q
+   * @param {number} r — Position de l'observateur R
+   * @returns {Array<Tile>} Tuile occupée comprise
+   */
+  getVisibleTiles(q, r) {
+    const origin = this.getTile(q, r);
+    if (!origin) return [];
+
+    const base  = origin.getSightRange();
+    const range = base === 0 ? 0 : Math.max(1, base + (this._weather?.getSightModifier() ?? 0));
+    return this.getAllTiles().filter(tile =>
+      hexDistance(q, r, tile.q, tile.r) <= range
+      && this.hasLineOfSight(q, r, tile.q, tile.r)
+    );
+  }
+
   // =========================================================================
   // Sérialisation (sauvegarde / chargement)
   // =========================================================================
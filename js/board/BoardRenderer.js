@@ -3,11 +3,16 @@
  * "Le Dernier Phare" — Jeu narratif lovecraftien
  *
  * Dessine le plateau avec brouillard de guerre, icônes de terrain,
- * position du joueur et indicateurs de mouvement.
+ * PNJs, position du joueur et indicateurs de mouvement. Les tuiles
+ * que le gardien n'a pas revues depuis longtemps sont dessinées
+ * délavées, avec les PNJs et le butin de son souvenir. Les tuiles
+ * noyées par la marée sont recouvertes d'un voile d'eau.
  * L'ambiance visuelle est volontairement très sombre et oppressante.
  */
 
-import { TILE_TYPES, TILE_COLORS, FOG_STATES } from './Tile.js';
+import { TILE_TYPES, TILE_COLORS, FOG_STATES, formatMoves } from './Tile.js';
+import { NPCManager } from '../narrative/NPCManager.js';
+import { NPC_DEFINITIONS } from '../data/npcs.js';
 
 // --- Constantes de rendu hexagonal ---
 const HEX_SIZE      = 50;                         // Rayon d'un hexagone en pixels
@@ -22,6 +27,37 @@ const COLOR_PLAYER_CORE     = '#c9a84c';                    // Centre du joueur
 const COLOR_MOVE_INDICATOR  = 'rgba(201, 168, 76, 0.25)';  // Indicateur de déplacement
 const COLOR_SHROUD_OUTLINE  = 'rgba(40, 40, 50, 0.5)';     // Contour des tuiles brumeuses
 const COLOR_SHROUD_FILL     = 'rgba(15, 15, 20, 0.7)';     // Remplissage brumeux
+const COLOR_NPC_VAGUE       = 'rgba(120, 120, 135, 0.35)'; // Silhouette devinée dans la brume
+const COLOR_TOOLTIP_BG      = 'rgba(18, 19, 26, 0.92)';    // Fond des infobulles
+const COLOR_TOOLTIP_TEXT    = '#d4cfc0';                    // Texte des infobulles
+const COLOR_BEAM            = 'rgba(232, 200, 110, ';      // Cône du phare (alpha ajouté)
+const COLOR_NIGHT_EVENT     = 'rgba(190, 60, 50, ';        // Événement de nuit (alpha ajouté)
+const COLOR_MEMORY_VEIL     = 'rgba(12, 12, 16, 0.45)';    // Voile sur les tuiles de souvenir
+const COLOR_LOOT            = 'rgba(214, 190, 120, ';      // Reflet du butin (alpha ajouté)
+const MEMORY_ALPHA          = 0.45;                         // Opacité des PNJs de souvenir
+const COLOR_FLOOD           = 'rgba(24, 44, 56, 0.6)';     // Eau de marée haute
+const COLOR_FLOOD_WAVE      = 'rgba(120, 150, 165, ';      // Vaguelettes (alpha ajouté)
+const COLOR_ROUTE           = 'rgba(201, 168, 76, 0.7)';   // Itinéraire prévu
+const COLOR_ROUTE_TOO_FAR   = 'rgba(150, 70, 60, 0.7)';    // Itinéraire trop long pour la journée
+
+// --- Silhouettes des PNJs : couleur, taille relative et accessoire distinctif ---
+const NPC_TOKEN_STYLES = Object.freeze({
+  marin:     { color: '#6f8a96', scale: 1.0,  accessory: 'cap' },
+  enfant:    { color: '#a8a290', scale: 0.7,  accessory: null },
+  elise:     { color: '#7fa08a', scale: 0.95, accessory: 'satchel' },
+  pretre:    { color: '#4a4456', scale: 1.05, accessory: 'cross' },
+  nadia:     { color: '#1c1a24', scale: 1.15, accessory: 'veil' },
+  capitaine: { color: '#8a6a4a', scale: 1.0,  accessory: 'bicorne' },
+});
+
+// --- Silhouette générique d'un PNJ pas encore rencontré : rien ne le distingue ---
+const NPC_UNKNOWN_STYLE = Object.freeze({ color: '#5c5b66', scale: 1.0, accessory: null });
+
+// Décalages des silhouettes autour du centre d'une tuile (le centre est réservé au joueur)
+const NPC_SLOT_OFFSETS = Object.freeze([
+  { x: -0.45, y: -0.25 }, { x: 0.45, y: -0.25 }, { x: -0.45, y: 0.3 },
+  { x: 0.45, y: 0.3 },    { x: 0, y: -0.55 },    { x: 0, y: 0.55 },
+]);
 
 /**
  * Classe BoardRenderer — Rendu visuel du plateau hexagonal
@@ -40,7 +76,44 @@ export class BoardRenderer {
     // --- État d'interaction ---
     this._hoveredTile  = null;    // Tuile survolée {q, r}
     this._validMoves   = [];      // Déplacements valides [{q, r}, ...]
+    this._route        = null;    // Itinéraire prévisualisé { path, cost, reachable }
     this._animTime     = 0;       // Temps d'animation pour les pulsations
+    this._perception   = null;    // SanitySystem — distorsions à santé mentale basse
+    this._beam         = null;    // LighthouseSystem — faisceau de nuit
+    this._tide         = null;    // TideSystem — tuiles noyées
+    this._hazards      = null;    // HazardSystem — dangers annoncés au survol
+  }
+
+  /**
+   * Branche la perception du joueur : le rendu montre ce qu'il croit voir
+   * @param {Object|null} perception — Instance de SanitySystem
+   */
+  setPerception(perception) {
+    this._perception = perception;
+  }
+
+  /**
+   * Branche les marées : les tuiles sous l'eau sont voilées
+   * @param {Object|null} tide — Instance de TideSystem
+   */
+  setTide(tide) {
+    this._tide = tide;
+  }
+
+  /**
+   * Branche les dangers du terrain : l'infobulle les annonce une fois la tuile vue
+   * @param {Object|null} hazards — Instance de HazardSystem
+   */
+  setHazards(hazards) {
+    this._hazards = hazards;
+  }
+
+  /**
+   * Branche le faisceau du phare : les cases qu'il balaie sortent du brouillard
+   * @param {Object|null} beam — Instance de LighthouseSystem
+   */
+  setBeam(beam) {
+    this._beam = beam;
   }
 
   // =========================================================================
@@ -132,11 +205,51 @@ export class BoardRenderer {
       }
     }
 
+    // --- Passe 1b : Tuiles de souvenir (délavées, butin tel qu'il était) ---
+    for (const tile of allTiles) {
+      if (tile.fogState === FOG_STATES.REMEMBERED) {
+        const { x, y } = this.hexToPixel(tile.q, tile.r);
+        this._drawRememberedHex(ctx, x, y, tile);
+        if (tile.memory?.loot) this._drawLootMarker(ctx, x, y, MEMORY_ALPHA);
+      }
+    }
+
     // --- Passe 2 : Dessiner les tuiles révélées ---
     for (const tile of allTiles) {
       if (tile.fogState === FOG_STATES.REVEALED) {
         const { x, y } = this.hexToPixel(tile.q, tile.r);
         this.drawHex(ctx, x, y, tile);
+        if (tile.loot) this._drawLootMarker(ctx, x, y, 1);
+      }
+    }
+
+    // --- Passe 2a : Marée (tuiles visibles noyées) ---
+    if (this._tide) {
+      for (const tile of allTiles) {
+        if (tile.fogState === FOG_STATES.HIDDEN || tile.fogState === FOG_STATES.SHROUDED) continue;
+        if (!this._tide.isFlooded(tile)) continue;
+        const { x, y } = this.hexToPixel(tile.q, tile.r);
+        this._drawFloodOverlay(ctx, x, y);
+      }
+    }
+
+    // --- Passe 2b : Faisceau du phare (révélation temporaire, nuit) ---
+    const beamShape = this._beam?.getBeamShape();
+    if (beamShape) {
+      for (const tile of allTiles) {
+        const light = this._beam.getLightAt(tile.q, tile.r);
+        if (light <= 0 || tile.fogState === FOG_STATES.REVEALED) continue;
+        const { x, y } = this.hexToPixel(tile.q, tile.r);
+        ctx.save();
+        ctx.globalAlpha = light;
+        this.drawHex(ctx, x, y, tile);
+        ctx.restore();
+      }
+      this._drawBeamCone(ctx, beamShape);
+      for (const key of this._beam.getEventMarkers()) {
+        const [q, r] = key.split(',').map(Number);
+        const { x, y } = this.hexToPixel(q, r);
+        this._drawNightEventMarker(ctx, x, y);
       }
     }
 
@@ -146,6 +259,11 @@ export class BoardRenderer {
       this._drawMoveIndicator(ctx, x, y);
     }
 
+    // --- Passe 3b : Itinéraire prévisualisé et son coût ---
+    if (this._route) {
+      this._drawRoute(ctx, this._route);
+    }
+
     // --- Passe 4 : Surbrillance au survol ---
     if (this._hoveredTile) {
       const tile = this._board.getTile(this._hoveredTile.q, this._hoveredTile.r);
@@ -155,13 +273,115 @@ export class BoardRenderer {
       }
     }
 
-    // --- Passe 5 : Position du joueur ---
+    // --- Passe 5 : PNJs ---
+    const npcsByTile = this._getNPCsByTile();
+    for (const [key, npcs] of npcsByTile) {
+      const tile = this._board.getTile(...key.split(',').map(Number));
+      if (!tile) continue;
+      const inBeam = (this._beam?.getLightAt(tile.q, tile.r) ?? 0) > 0;
+      if (tile.fogState === FOG_STATES.HIDDEN && !inBeam) continue;
+      if (tile.fogState === FOG_STATES.REMEMBERED && !inBeam) continue;
+      const { x, y } = this.hexToPixel(tile.q, tile.r);
+      npcs.forEach((npc, index) => {
+        const slot = NPC_SLOT_OFFSETS[index % NPC_SLOT_OFFSETS.length];
+        const nx = x + slot.x * HEX_SIZE;
+        const ny = y + slot.y * HEX_SIZE;
+        if (tile.fogState === FOG_STATES.REVEALED) this.drawNPC(ctx, nx, ny, npc.met ? npc.id : null);
+        else this._drawVagueNPC(ctx, nx, ny);
+      });
+    }
+
+    // --- Passe 5b : PNJs de souvenir (là où le gardien les a vus) ---
+    for (const tile of allTiles) {
+      if (tile.fogState !== FOG_STATES.REMEMBERED || !tile.memory?.npcs.length) continue;
+      if ((this._beam?.getLightAt(tile.q, tile.r) ?? 0) > 0) continue;
+      const { x, y } = this.hexToPixel(tile.q, tile.r);
+      ctx.save();
+      ctx.globalAlpha = MEMORY_ALPHA;
+      tile.memory.npcs.forEach((npc, index) => {
+        const slot = NPC_SLOT_OFFSETS[index % NPC_SLOT_OFFSETS.length];
+        this.drawNPC(ctx, x + slot.x * HEX_SIZE, y + slot.y * HEX_SIZE, npc.met ? npc.id : null);
+      });
+      ctx.restore();
+    }
+
+    // --- Passe 6 : Position du joueur ---
     const playerPos = this._getPlayerPosition();
     if (playerPos) {
       const { x, y } = this.hexToPixel(playerPos.q, playerPos.r);
       this.drawPlayer(ctx, x, y);
     }
 
+    // --- Passe 7 : Infobulle des PNJs et des dangers sous la souris ---
+    if (this._hoveredTile) {
+      const key  = this._hoveredTile.q + ',' + this._hoveredTile.r;
+      const tile = this._board.getTile(this._hoveredTile.q, this._hoveredTile.r);
+      const npcs = npcsByTile.get(key);
+      const lines = [];
+      if (tile && tile.fogState === FOG_STATES.REMEMBERED) {
+        const remembered = tile.memory?.npcs ?? [];
+        lines.push(...remembered.map(npc => 'Vu ici : ' + (npc.met ? (NPC_DEFINITIONS[npc.id]?.name ?? npc.id) : 'une silhouette')));
+      } else if (tile && npcs && tile.fogState !== FOG_STATES.HIDDEN) {
+        lines.push(...(tile.fogState === FOG_STATES.REVEALED
+          ? npcs.map(npc => npc.met ? (NPC_DEFINITIONS[npc.id]?.name ?? npc.id) : 'Silhouette inconnue')
+          : ['Une forme, dans la brume…']));
+      }
+      // Dangers : seulement sur une tuile déjà vue de près
+      if (tile && (tile.fogState === FOG_STATES.REVEALED || tile.fogState === FOG_STATES.REMEMBERED)) {
+        const danger = this._hazards?.describe(tile);
+        if (danger) lines.push('⚠ ' + danger);
+      }
+      if (lines.length > 0) {
+        const { x, y } = this.hexToPixel(tile.q, tile.r);
+        this._drawTooltip(ctx, x, y - HEX_SIZE, lines);
+      }
+    }
+
+    ctx.restore();
+  }
+
+  // =========================================================================
+  // Faisceau du phare
+  // =========================================================================
+
+  /**
+   * Dessine le cône de lumière tournant du phare
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Object} shape — { origin, angle, halfAngle, radius } (LighthouseSystem)
+   */
+  _drawBeamCone(ctx, shape) {
+    const { x, y } = this.hexToPixel(shape.origin.q, shape.origin.r);
+    const length   = (shape.radius + 0.5) * HEX_WIDTH;
+
+    const gradient = ctx.createRadialGradient(x, y, HEX_SIZE * 0.2, x, y, length);
+    gradient.addColorStop(0, COLOR_BEAM + '0.35)');
+    gradient.addColorStop(1, COLOR_BEAM + '0)');
+
+    ctx.save();
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.arc(x, y, length, shape.angle - shape.halfAngle, shape.angle + shape.halfAngle);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+  }
+
+  /**
+   * Dessine le signal d'un événement de nuit sur une case touchée par le faisceau
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} cx — Centre X en pixels
+   * @param {number} cy — Centre Y en pixels
+   */
+  _drawNightEventMarker(ctx, cx, cy) {
+    const pulse = 0.5 + 0.5 * Math.sin(this._animTime * 4);
+    ctx.save();
+    ctx.strokeStyle = COLOR_NIGHT_EVENT + (0.4 + 0.4 * pulse) + ')';
+    ctx.lineWidth   = 2;
+    ctx.beginPath();
+    ctx.arc(cx, cy, HEX_SIZE * (0.35 + 0.1 * pulse), 0, Math.PI * 2);
+    ctx.stroke();
     ctx.restore();
   }
 
@@ -235,13 +455,14 @@ export class BoardRenderer {
   }
 
   /**
-   * Dessine un hex dans l'état brumeux — silhouette à peine visible
+   * Dessine un hex dans l'état brumeux — silhouette à peine visible.
+   * À santé mentale basse, un faux type de terrain s'y devine.
    * @param {CanvasRenderingContext2D} ctx
    * @param {number} cx — Centre X
    * @param {number} cy — Centre Y
-   * @param {Object} _tile — Instance de Tile (non utilisé pour le brouillard)
+   * @param {Object} tile — Instance de Tile
    */
-  _drawShroudedHex(ctx, cx, cy, _tile) {
+  _drawShroudedHex(ctx, cx, cy, tile) {
     const corners = this._getHexCorners(cx, cy);
 
     // Remplissage très sombre, presque invisible
@@ -259,6 +480,105 @@ export class BoardRenderer {
     ctx.strokeStyle = COLOR_SHROUD_OUTLINE;
     ctx.lineWidth = 1;
     ctx.stroke();
+
+    // Ce que l'esprit troublé croit reconnaître sous la brume
+    const falseType = this._perception?.getPerceivedType(tile);
+    if (falseType) {
+      this.drawTileIcon(ctx, cx, cy, falseType, 0.4);
+    }
+  }
+
+  /**
+   * Dessine un hex de souvenir : la tuile telle qu'on l'a vue, désaturée
+   * puis voilée — le gardien se rappelle, il ne voit plus.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} cx — Centre X
+   * @param {number} cy — Centre Y
+   * @param {Object} tile — Instance de Tile
+   */
+  _drawRememberedHex(ctx, cx, cy, tile) {
+    this.drawHex(ctx, cx, cy, tile);
+
+    const corners = this._getHexCorners(cx, cy);
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(corners[0].x, corners[0].y);
+    for (let i = 1; i < 6; i++) {
+      ctx.lineTo(corners[i].x, corners[i].y);
+    }
+    ctx.closePath();
+
+    // Un gris neutre en mode "saturation" retire la couleur de la tuile
+    ctx.globalCompositeOperation = 'saturation';
+    ctx.fillStyle = '#808080';
+    ctx.fill();
+
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.fillStyle = COLOR_MEMORY_VEIL;
+    ctx.fill();
+    ctx.restore();
+  }
+
+  /**
+   * Voile d'eau animé sur une tuile noyée par la marée
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} cx — Centre X
+   * @param {number} cy — Centre Y
+   */
+  _drawFloodOverlay(ctx, cx, cy) {
+    const corners = this._getHexCorners(cx, cy);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(corners[0].x, corners[0].y);
+    for (let i = 1; i < 6; i++) {
+      ctx.lineTo(corners[i].x, corners[i].y);
+    }
+    ctx.closePath();
+    ctx.fillStyle = COLOR_FLOOD;
+    ctx.fill();
+    ctx.clip();
+
+    // Vaguelettes qui dérivent lentement
+    const drift = (this._animTime * 6) % 20;
+    ctx.lineWidth = 1;
+    for (let row = -2; row <= 2; row++) {
+      const y = cy + row * HEX_SIZE * 0.35;
+      ctx.strokeStyle = COLOR_FLOOD_WAVE + (0.25 - Math.abs(row) * 0.05).toFixed(2) + ')';
+      ctx.beginPath();
+      for (let x = cx - HEX_SIZE - 20 + drift; x < cx + HEX_SIZE; x += 20) {
+        ctx.moveTo(x, y);
+        ctx.quadraticCurveTo(x + 5, y - 3, x + 10, y);
+        ctx.quadraticCurveTo(x + 15, y + 3, x + 20, y);
+      }
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Dessine le reflet d'un butin posé sur une tuile
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} cx — Centre X
+   * @param {number} cy — Centre Y
+   * @param {number} alpha — Opacité (souvenir ou tuile révélée)
+   */
+  _drawLootMarker(ctx, cx, cy, alpha) {
+    const x = cx + HEX_SIZE * 0.38;
+    const y = cy + HEX_SIZE * 0.42;
+    const glint = 0.6 + 0.4 * Math.sin(this._animTime * 2 + cx * 0.07);
+    const s = HEX_SIZE * 0.08;
+
+    ctx.save();
+    ctx.fillStyle = COLOR_LOOT + (alpha * glint).toFixed(3) + ')';
+    ctx.beginPath();
+    ctx.moveTo(x, y - s);
+    ctx.lineTo(x + s * 0.6, y);
+    ctx.lineTo(x, y + s);
+    ctx.lineTo(x - s * 0.6, y);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
   }
 
   /**
@@ -291,8 +611,9 @@ export class BoardRenderer {
    * @param {number} cx — Centre X
    * @param {number} cy — Centre Y
    * @param {string} type — Type de tuile (TILE_TYPES)
+   * @param {number} [alpha=0.7] — Opacité de l'icône
    */
-  drawTileIcon(ctx, cx, cy, type) {
+  drawTileIcon(ctx, cx, cy, type, alpha = 0.7) {
     const colors = TILE_COLORS[type];
     if (!colors) return;
 
@@ -302,7 +623,7 @@ export class BoardRenderer {
     ctx.lineWidth = 1.5;
     ctx.lineCap = 'round';
     ctx.lineJoin = 'round';
-    ctx.globalAlpha = 0.7;
+    ctx.globalAlpha *= alpha;   // conserve l'opacité de l'appelant (faisceau)
 
     const s = HEX_SIZE * 0.3; // Échelle des icônes
 
@@ -340,6 +661,9 @@ export class BoardRenderer {
       case TILE_TYPES.REEF:
         this._drawIconReef(ctx, cx, cy, s);
         break;
+      case TILE_TYPES.SANDBAR:
+        this._drawIconSandbar(ctx, cx, cy, s);
+        break;
       case TILE_TYPES.DEEP_WATER:
         // Pas d'icône — les abysses sont vides
         break;
@@ -532,6 +856,21 @@ export class BoardRenderer {
     ctx.stroke();
   }
 
+  /** Banc de sable — Une dune basse et quelques grains */
+  _drawIconSandbar(ctx, cx, cy, s) {
+    ctx.beginPath();
+    ctx.moveTo(cx - s * 0.9, cy + s * 0.3);
+    ctx.quadraticCurveTo(cx - s * 0.2, cy - s * 0.4, cx + s * 0.9, cy + s * 0.3);
+    ctx.stroke();
+
+    // Grains de sable
+    for (const [dx, dy] of [[-0.3, 0.5], [0.1, 0.6], [0.45, 0.5]]) {
+      ctx.beginPath();
+      ctx.arc(cx + s * dx, cy + s * dy, s * 0.06, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
   // =========================================================================
   // Joueur et indicateurs
   // =========================================================================
@@ -571,6 +910,137 @@ export class BoardRenderer {
     ctx.restore();
   }
 
+  /**
+   * Dessine la silhouette d'un PNJ — tête, buste et accessoire distinctif
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} cx — Centre X
+   * @param {number} cy — Centre Y
+   * @param {string|null} npcId — Identifiant du PNJ ; null tant qu'il n'a pas
+   *   été rencontré (silhouette générique)
+   */
+  drawNPC(ctx, cx, cy, npcId) {
+    const style = NPC_TOKEN_STYLES[npcId] ?? NPC_UNKNOWN_STYLE;
+    const s = HEX_SIZE * 0.16 * style.scale;
+
+    // Léger balancement — les survivants ne tiennent pas en place
+    const sway = Math.sin(this._animTime * 1.5 + cx * 0.05) * s * 0.05;
+
+    ctx.save();
+    ctx.translate(cx + sway, cy);
+    ctx.fillStyle = style.color;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.lineWidth = 1;
+
+    // Buste
+    ctx.beginPath();
+    ctx.moveTo(-s * 0.7, s * 1.1);
+    ctx.quadraticCurveTo(-s * 0.7, -s * 0.1, 0, -s * 0.1);
+    ctx.quadraticCurveTo(s * 0.7, -s * 0.1, s * 0.7, s * 1.1);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    // Tête
+    ctx.beginPath();
+    ctx.arc(0, -s * 0.5, s * 0.35, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    this._drawNPCAccessory(ctx, s, style);
+    ctx.restore();
+  }
+
+  /** Accessoire distinctif dessiné sur la silhouette (repère local centré) */
+  _drawNPCAccessory(ctx, s, style) {
+    ctx.lineWidth = 1.5;
+    switch (style.accessory) {
+      case 'cap':       // Bonnet de marin
+        ctx.fillStyle = '#2e3c48';
+        ctx.fillRect(-s * 0.4, -s * 0.95, s * 0.8, s * 0.25);
+        break;
+      case 'satchel':   // Sacoche en bandoulière
+        ctx.strokeStyle = '#3a2a1a';
+        ctx.beginPath();
+        ctx.moveTo(-s * 0.5, 0);
+        ctx.lineTo(s * 0.5, s * 0.9);
+        ctx.stroke();
+        break;
+      case 'cross':     // Croix pectorale
+        ctx.strokeStyle = '#c9a84c';
+        ctx.beginPath();
+        ctx.moveTo(0, s * 0.15);
+        ctx.lineTo(0, s * 0.75);
+        ctx.moveTo(-s * 0.2, s * 0.35);
+        ctx.lineTo(s * 0.2, s * 0.35);
+        ctx.stroke();
+        break;
+      case 'veil':      // Voile sombre qui déborde de la silhouette
+        ctx.fillStyle = 'rgba(10, 10, 15, 0.6)';
+        ctx.beginPath();
+        ctx.ellipse(0, -s * 0.3, s * 0.6, s * 0.7, 0, Math.PI, 0);
+        ctx.fill();
+        break;
+      case 'bicorne':   // Chapeau d'officier
+        ctx.fillStyle = '#1a1c26';
+        ctx.beginPath();
+        ctx.ellipse(0, -s * 0.85, s * 0.6, s * 0.18, 0, 0, Math.PI * 2);
+        ctx.fill();
+        break;
+    }
+  }
+
+  /**
+   * Dessine une silhouette indistincte — un PNJ deviné dans la brume
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} cx — Centre X
+   * @param {number} cy — Centre Y
+   */
+  _drawVagueNPC(ctx, cx, cy) {
+    const s = HEX_SIZE * 0.16;
+    const flicker = 0.6 + 0.4 * Math.sin(this._animTime * 0.8 + cy * 0.1);
+
+    ctx.save();
+    ctx.globalAlpha = flicker;
+    ctx.fillStyle = COLOR_NPC_VAGUE;
+    ctx.beginPath();
+    ctx.ellipse(cx, cy + s * 0.2, s * 0.6, s * 1.1, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  /**
+   * Dessine une infobulle centrée au-dessus d'un point
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} cx — Centre X
+   * @param {number} bottomY — Bas de l'infobulle
+   * @param {Array<string>} lines — Lignes de texte
+   */
+  _drawTooltip(ctx, cx, bottomY, lines) {
+    const lineHeight = 14;
+    const padding    = 6;
+
+    ctx.save();
+    ctx.font = '11px "Inter", sans-serif';
+    const width  = Math.max(...lines.map(line => ctx.measureText(line).width)) + padding * 2;
+    const height = lines.length * lineHeight + padding * 2;
+    const left   = cx - width / 2;
+    const top    = bottomY - height;
+
+    ctx.fillStyle = COLOR_TOOLTIP_BG;
+    ctx.strokeStyle = COLOR_HOVER_BORDER;
+    ctx.lineWidth = 1;
+    ctx.fillRect(left, top, width, height);
+    ctx.strokeRect(left, top, width, height);
+
+    ctx.fillStyle = COLOR_TOOLTIP_TEXT;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    lines.forEach((line, i) => {
+      ctx.fillText(line, cx, top + padding + i * lineHeight);
+    });
+    ctx.restore();
+  }
+
   /**
    * Dessine un indicateur de mouvement — anneau pulsant subtil
    * @param {CanvasRenderingContext2D} ctx
@@ -593,6 +1063,54 @@ export class BoardRenderer {
     ctx.restore();
   }
 
+  /**
+   * Dessine un itinéraire : trait pointillé de centre en centre, pastille
+   * du coût en déplacements sur la destination
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Object} route — { path, cost, reachable }
+   */
+  _drawRoute(ctx, route) {
+    const points = route.path.map(step => this.hexToPixel(step.q, step.r));
+    const color  = route.reachable ? COLOR_ROUTE : COLOR_ROUTE_TOO_FAR;
+    const end    = points[points.length - 1];
+
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 3;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.setLineDash([6, 8]);
+    ctx.lineDashOffset = -this._animTime * 20;
+    ctx.beginPath();
+    points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    ctx.stroke();
+
+    // Étapes intermédiaires
+    ctx.setLineDash([]);
+    ctx.fillStyle = color;
+    for (const p of points.slice(1, -1)) {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Coût
+    ctx.beginPath();
+    ctx.arc(end.x, end.y, HEX_SIZE * 0.24, 0, Math.PI * 2);
+    ctx.fillStyle = COLOR_TOOLTIP_BG;
+    ctx.fill();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    ctx.fillStyle = COLOR_TOOLTIP_TEXT;
+    ctx.font = 'bold 13px "Inter", sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(formatMoves(route.cost), end.x, end.y + 1);
+    ctx.restore();
+  }
+
   /**
    * Dessine un marqueur de tuile bloquée (croix rouge sombre)
    * @param {CanvasRenderingContext2D} ctx
@@ -640,10 +1158,37 @@ export class BoardRenderer {
     this._validMoves = moves;
   }
 
+  /**
+   * Affiche (ou efface) l'itinéraire proposé au joueur
+   * @param {{ path: Array<{ q: number, r: number }>, cost: number, reachable: boolean } | null} route
+   */
+  setRoute(route) {
+    this._route = route;
+  }
+
   // =========================================================================
   // Utilitaires internes
   // =========================================================================
 
+  /**
+   * Regroupe les PNJs présents sur le plateau par tuile, d'après state.npcs,
+   * plus les silhouettes fantômes que le joueur croit voir
+   * @returns {Map<string, Array<Object>>} Clé "q,r" → PNJs
+   */
+  _getNPCsByTile() {
+    const byTile = new Map();
+    const npcs = Object.values(this._stateManager?.getState().npcs ?? {})
+      .filter(npc => NPCManager.isOnBoard(npc));
+    const phantoms = this._perception?.getPhantoms() ?? [];
+
+    for (const npc of [...npcs, ...phantoms]) {
+      const key = npc.position.q + ',' + npc.position.r;
+      if (!byTile.has(key)) byTile.set(key, []);
+      byTile.get(key).push(npc);
+    }
+    return byTile;
+  }
+
   /**
    * Récupère la position du joueur depuis le StateManager
    * @returns {{ q: number, r: number } | null}
@@ -4,10 +4,13 @@
  *
  * Gère la validation des mouvements du joueur sur le plateau hexagonal,
  * le calcul de distances en coordonnées cubiques, et la détection
- * de voisinage entre tuiles.
+ * de voisinage entre tuiles. Chaque terrain a son coût en déplacements
+ * (TILE_MOVE_COST), dont findCheapestPath tient compte. La météo du
+ * jour peut fermer certains types de tuiles (voir WeatherSystem), la
+ * marée noyer récifs et bancs de sable (voir TideSystem).
  */
 
-import { TILE_TYPES } from './Tile.js';
+import { TILE_TYPES, FOG_STATES, TILE_MOVE_COST } from './Tile.js';
 
 // --- Les 6 directions en coordonnées axiales (pointy-top) ---
 const AXIAL_DIRECTIONS = Object.freeze([
@@ -19,6 +22,9 @@ const AXIAL_DIRECTIONS = Object.freeze([
   { dq:  0, dr: +1 },   // Sud-Est
 ]);
 
+// --- Coût le plus faible d'un pas : minore l'heuristique de l'A* ---
+const MIN_MOVE_COST = Math.min(1, ...Object.values(TILE_MOVE_COST));
+
 /**
  * Classe PathFinder — Recherche de chemins et validation de mouvements
  */
@@ -27,7 +33,25 @@ export class PathFinder {
    * @param {Object} board — Instance de Board (plateau logique)
    */
   constructor(board) {
-    this._board = board;
+    this._board   = board;
+    this._weather = null;   // WeatherSystem — tuiles fermées par le temps
+    this._tide    = null;   // TideSystem — tuiles sous l'eau
+  }
+
+  /**
+   * Branche la météo : ses tuiles fermées ne sont plus franchissables
+   * @param {Object|null} weather — Instance de WeatherSystem
+   */
+  setWeather(weather) {
+    this._weather = weather;
+  }
+
+  /**
+   * Branche les marées : les tuiles sous l'eau ne sont plus franchissables
+   * @param {Object|null} tide — Instance de TideSystem
+   */
+  setTide(tide) {
+    this._tide = tide;
   }
 
   // =========================================================================
@@ -36,7 +60,8 @@ export class PathFinder {
 
   /**
    * Retourne les positions vers lesquelles le joueur peut se déplacer
-   * depuis la position donnée (adjacentes, explorables, non bloquées, pas d'eau profonde)
+   * depuis la position donnée (adjacentes, explorables, non bloquées, pas d'eau profonde,
+   * pas fermées par la météo ni noyées par la marée)
    * @param {number} q — Position actuelle Q
    * @param {number} r — Position actuelle R
    * @returns {Array<{ q: number, r: number }>} Positions accessibles
@@ -54,6 +79,8 @@ export class PathFinder {
       if (!tile.explorable) continue;
       if (tile.blocked) continue;
       if (tile.type === TILE_TYPES.DEEP_WATER) continue;
+      if (this._weather?.blocksTile(tile)) continue;
+      if (this._tide?.isFlooded(tile)) continue;
 
       validMoves.push({ q: nq, r: nr });
     }
@@ -163,9 +190,12 @@ export class PathFinder {
    * @param {number} startR — Départ R
    * @param {number} endQ — Arrivée Q
    * @param {number} endR — Arrivée R
+   * @param {Object} [options]
+   * @param {boolean} [options.revealedOnly=false] — Ne passer que par des
+   *   tuiles déjà vues, dévoilées ou en souvenir (itinéraires du joueur)
    * @returns {Array<{ q: number, r: number }> | null} Chemin ou null si impossible
    */
-  findPath(startQ, startR, endQ, endR) {
+  findPath(startQ, startR, endQ, endR, { revealedOnly = false } = {}) {
     const startKey = startQ + ',' + startR;
     const endKey = endQ + ',' + endR;
 
@@ -185,6 +215,7 @@ export class PathFinder {
         const key = move.q + ',' + move.r;
 
         if (visited.has(key)) continue;
+        if (revealedOnly && !this._isRevealed(move.q, move.r)) continue;
         visited.add(key);
 
         const newPath = [...current.path, { q: move.q, r: move.r }];
@@ -199,4 +230,80 @@ export class PathFinder {
     // Aucun chemin trouvé — la destination est inaccessible
     return null;
   }
+
+  /**
+   * Trouve l'itinéraire le moins coûteux entre deux hexagones (A*), en
+   * tenant compte du coût de chaque terrain (Tile.getMoveCost)
+   * @param {number} startQ — Départ Q
+   * @param {number} startR — Départ R
+   * @param {number} endQ — Arrivée Q
+   * @param {number} endR — Arrivée R
+   * @param {Object} [options]
+   * @param {boolean} [options.revealedOnly=false] — Voir findPath
+   * @returns {{ path: Array<{ q: number, r: number }>, cost: number } | null}
+   *   Chemin (départ compris) et coût total, ou null si impossible
+   */
+  findCheapestPath(startQ, startR, endQ, endR, { revealedOnly = false } = {}) {
+    const startKey = startQ + ',' + startR;
+    const endKey   = endQ + ',' + endR;
+    const estimate = (q, r) => this.getDistance(q, r, endQ, endR) * MIN_MOVE_COST;
+
+    // Liste ouverte : le plateau est petit, un tableau trié à la demande suffit
+    const open     = [{ q: startQ, r: startR, key: startKey, f: estimate(startQ, startR) }];
+    const cost     = new Map([[startKey, 0]]);
+    const cameFrom = new Map();
+    const closed   = new Set();
+
+    while (open.length > 0) {
+      open.sort((a, b) => a.f - b.f);
+      const current = open.shift();
+      if (closed.has(current.key)) continue;
+      closed.add(current.key);
+
+      // Destination atteinte : on remonte le chemin
+      if (current.key === endKey) {
+        const path = [];
+        for (let key = endKey; key !== undefined; key = cameFrom.get(key)) {
+          const [q, r] = key.split(',').map(Number);
+          path.unshift({ q, r });
+        }
+        return { path, cost: cost.get(endKey) };
+      }
+
+      for (const move of this.getValidMoves(current.q, current.r)) {
+        const key = move.q + ',' + move.r;
+        if (closed.has(key)) continue;
+        if (revealedOnly && !this._isRevealed(move.q, move.r)) continue;
+
+        const total = cost.get(current.key) + this.getMoveCost(move.q, move.r);
+        if (total >= (cost.get(key) ?? Infinity)) continue;
+
+        cost.set(key, total);
+        cameFrom.set(key, current.key);
+        open.push({ q: move.q, r: move.r, key, f: total + estimate(move.q, move.r) });
+      }
+    }
+
+    // Aucun chemin trouvé — la destination est inaccessible
+    return null;
+  }
+
+  /**
+   * Coût en déplacements pour entrer sur une tuile
+   * @param {number} q
+   * @param {number} r
+   * @returns {number}
+   */
+  getMoveCost(q, r) {
+    return this._board.getTile(q, r)?.getMoveCost() ?? 1;
+  }
+
+  /**
+   * La tuile a-t-elle été vue par le gardien (dévoilée ou en souvenir) ?
+   * @returns {boolean}
+   */
+  _isRevealed(q, r) {
+    const fog = this._board.getTile(q, r)?.fogState;
+    return fog === FOG_STATES.REVEALED || fog === FOG_STATES.REMEMBERED;
+  }
 }
@@ -20,6 +20,7 @@ export const TILE_TYPES = Object.freeze({
   SHRINE:      'shrine',
   SHIPWRECK:   'shipwreck',
   PATH:        'path',
+  SANDBAR:     'sandbar',
 });
 
 // --- Palette de couleurs par type de tuile ---
@@ -37,13 +38,44 @@ export const TILE_COLORS = Object.freeze({
   [TILE_TYPES.SHRINE]:      { fill: '#261a28', border: '#48304c', icon: '#6e4a74' },
   [TILE_TYPES.SHIPWRECK]:   { fill: '#24201c', border: '#463e36', icon: '#6b5f52' },
   [TILE_TYPES.PATH]:        { fill: '#252520', border: '#46463c', icon: '#6a6a5c' },
+  [TILE_TYPES.SANDBAR]:     { fill: '#2b2a22', border: '#4a4838', icon: '#7a7560' },
 });
 
+// --- Portée de vue depuis chaque type de tuile (en cases, 1 par défaut) ---
+// Les hauteurs voient loin ; une grotte ne montre rien au-delà d'elle-même.
+export const TILE_SIGHT = Object.freeze({
+  [TILE_TYPES.LIGHTHOUSE]: 2,
+  [TILE_TYPES.CLIFF]:      2,
+  [TILE_TYPES.CAVE]:       0,
+});
+
+// --- Coût en déplacements pour entrer sur chaque type de tuile (1 par défaut) ---
+// Les sentiers font gagner du temps : les demi-déplacements se cumulent au fil
+// de la journée, et ce qui n'a pas été dépensé est perdu au crépuscule.
+export const TILE_MOVE_COST = Object.freeze({
+  [TILE_TYPES.FOREST]: 2,
+  [TILE_TYPES.CLIFF]:  2,
+  [TILE_TYPES.SHORE]:  1,
+  [TILE_TYPES.PATH]:   0.5,
+});
+
+/**
+ * Nombre de déplacements tel qu'affiché (HUD, notifications, plateau) : "1,5"
+ * @param {number} amount
+ * @returns {string}
+ */
+export function formatMoves(amount) {
+  return String(amount).replace('.', ',');
+}
+
 // --- États possibles du brouillard de guerre ---
+// REMEMBERED : tuile vue autrefois, mais plus regardée depuis longtemps —
+// le plateau n'en montre que le souvenir du gardien (Tile.memory).
 export const FOG_STATES = Object.freeze({
-  HIDDEN:   'hidden',
-  SHROUDED: 'shrouded',
-  REVEALED: 'revealed',
+  HIDDEN:     'hidden',
+  SHROUDED:   'shrouded',
+  REVEALED:   'revealed',
+  REMEMBERED: 'remembered',
 });
 
 /**
@@ -62,6 +94,9 @@ export class Tile {
    * @param {Object|null} config.loot — Objets récupérables sur la tuile
    * @param {boolean} config.blocked — La tuile est-elle bloquée ?
    * @param {string} config.blockReason — Raison du blocage (ex: "éboulement")
+   * @param {Object|null} config.obstacle — Moyens de dégager la tuile (voir ObstacleSystem)
+   * @param {string|null} config.tide — Sensibilité à la marée : "high" ou "low" (voir TideSystem)
+   * @param {string|false|null} config.hazard — Danger propre à la tuile (voir HazardSystem)
    */
   constructor(config = {}) {
     // --- Coordonnées axiales ---
@@ -77,11 +112,17 @@ export class Tile {
     this.loot        = config.loot        ?? null;
     this.blocked     = config.blocked     ?? false;
     this.blockReason = config.blockReason ?? '';
+    this.obstacle    = config.obstacle    ?? null;
+    this.tide        = config.tide        ?? null;
+    this.hazard      = config.hazard      ?? null;
 
     // --- État dynamique (évolue pendant la partie) ---
     this.explored = false;
     this.visited  = false;
     this.fogState = FOG_STATES.HIDDEN;
+    this.cleared  = false;  // obstacle dégagé par le joueur
+    this.lastSeen = null;   // tour d'exploration où la tuile a été vue pour la dernière fois
+    this.memory   = null;   // dernier état vu : { npcs: [{ id, met }], loot }
   }
 
   /**
@@ -108,6 +149,49 @@ export class Tile {
     return this.explorable && !this.blocked && this.type !== TILE_TYPES.DEEP_WATER;
   }
 
+  /**
+   * Vérifie si la tuile est trop sombre pour être fouillée sans lumière
+   * @returns {boolean}
+   */
+  isDark() {
+    return this.type === TILE_TYPES.CAVE;
+  }
+
+  /**
+   * Portée de vue du gardien lorsqu'il se tient sur cette tuile
+   * @returns {number} Distance en nombre de pas hexagonaux
+   */
+  getSightRange() {
+    return TILE_SIGHT[this.type] ?? 1;
+  }
+
+  /**
+   * Coût en déplacements pour entrer sur la tuile
+   * @returns {number}
+   */
+  getMoveCost() {
+    return TILE_MOVE_COST[this.type] ?? 1;
+  }
+
+  /**
+   * Vérifie si la tuile masque ce qui se trouve derrière elle
+   * @returns {boolean}
+   */
+  blocksSight() {
+    return this.type === TILE_TYPES.FOREST;
+  }
+
+  /**
+   * Mémorise ce que le gardien voit sur la tuile à cet instant
+   * @param {Array<Object>} npcs — PNJs présents (instances de NPCManager)
+   */
+  remember(npcs = []) {
+    this.memory = {
+      npcs: npcs.map(npc => ({ id: npc.id, met: !!npc.met })),
+      loot: this.loot ? { ...this.loot } : null,
+    };
+  }
+
   /**
    * Sérialise l'état dynamique de la tuile (pour sauvegarde)
    * @returns {Object}
@@ -120,6 +204,10 @@ export class Tile {
       visited:   this.visited,
       fogState:  this.fogState,
       blocked:   this.blocked,
+      cleared:   this.cleared,
+      lastSeen:  this.lastSeen,
+      memory:    this.memory,
+      loot:      this.loot,
     };
   }
 
@@ -132,5 +220,9 @@ export class Tile {
     if (state.visited  !== undefined) this.visited  = state.visited;
     if (state.fogState !== undefined) this.fogState  = state.fogState;
     if (state.blocked  !== undefined) this.blocked   = state.blocked;
+    if (state.cleared  !== undefined) this.cleared   = state.cleared;
+    if (state.lastSeen !== undefined) this.lastSeen  = state.lastSeen;
+    if (state.memory   !== undefined) this.memory    = state.memory;
+    if (state.loot     !== undefined) this.loot      = state.loot;
   }
 }
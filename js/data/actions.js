@@ -0,0 +1,106 @@
+// ============================================================
+// ACTIONS DE TUILE - Le Dernier Phare
+// Lues par l'ActionSystem (js/systems/ActionSystem.js) et proposees,
+// de jour, dans le panneau d'actions selon la tuile du gardien.
+//
+//   id: {
+//       name, description,
+//       where: {
+//           types:   ["forest"],     // types de tuile (tous si absent)
+//           exclude: ["lighthouse"], // types exclus
+//           npc:     true            // une action par PNJ rencontre present ("{npc}" dans name)
+//       },
+//       conditions,                 // format de narrative/Conditions.js
+//       cost: { supplies, oil, food },  // ressources consommees
+//       moves,                      // deplacements depenses
+//       once: "day" | "tile" | "npc",   // une fois par jour (par tuile, par PNJ)
+//       loot:     true,             // ramasse d'abord le butin laisse sur la tuile
+//       dialogue: "{npc}_discussion",   // arbre joue avec le PNJ (js/data/dialogues.js)
+//       chance,                     // probabilite de reussite (1 par defaut)
+//       effects,                    // effets en cas de reussite (format des choix de dialogue)
+//       failure                     // effets si le tirage echoue
+//   }
+// ============================================================
+
+export const ACTIONS = {
+
+    fouiller: {
+        name: "Fouiller encore",
+        description: "Retourner chaque pierre : ce qui a été laissé derrière, ou un débris utile.",
+        where: { exclude: ["lighthouse"] },
+        moves: 1,
+        once: "tile",
+        loot: true,
+        chance: 0.35,
+        effects: {
+            resources: { supplies: 1 },
+            notify: { text: "Sous les algues, une planche encore saine. (+1 matériaux)", type: "loot" }
+        },
+        failure: {
+            notify: { text: "Vous ne trouvez rien de plus ici." }
+        }
+    },
+
+    se_reposer: {
+        name: "Se reposer",
+        description: "S'asseoir, fermer les yeux, laisser passer le temps. Le jour avance sans vous.",
+        moves: 2,
+        once: "day",
+        effects: {
+            sanity: 10,
+            notify: { text: "Vous reprenez votre souffle. Les murmures s'éloignent un peu. (Santé mentale +10)" }
+        }
+    },
+
+    manger: {
+        name: "Manger",
+        description: "Un vrai repas, pris le jour : il ferme les plaies mieux que le sommeil.",
+        cost: { food: 1 },
+        once: "day",
+        effects: {
+            health: 15,
+            notify: { text: "Vous mangez lentement, face à la mer. (Santé +15)" }
+        }
+    },
+
+    cueillir: {
+        name: "Cueillir",
+        description: "Baies, champignons, racines : ce que la forêt veut bien donner.",
+        where: { types: ["forest"] },
+        moves: 1,
+        once: "tile",
+        chance: 0.6,
+        effects: {
+            resources: { food: 1 },
+            notify: { text: "Une poignée de baies noires et quelques racines. (+1 nourriture)", type: "loot" }
+        },
+        failure: {
+            notify: { text: "Tout ce qui pousse ici a une odeur de vase. Vous n'osez rien cueillir." }
+        }
+    },
+
+    pecher: {
+        name: "Pêcher",
+        description: "Une ligne lancée depuis la grève. Ce qui mord n'est pas toujours un poisson.",
+        where: { types: ["shore", "sandbar"] },
+        moves: 1,
+        once: "tile",
+        chance: 0.5,
+        effects: {
+            resources: { food: 2 },
+            notify: { text: "Deux poissons pâles, aux yeux trop grands. Ils se mangent. (+2 nourriture)", type: "loot" }
+        },
+        failure: {
+            sanity: -2,
+            notify: { text: "Quelque chose tire la ligne vers le large, puis la lâche. Vous rentrez bredouille." }
+        }
+    },
+
+    parler: {
+        name: "Parler à {npc}",
+        description: "Prendre le temps d'une conversation.",
+        where: { npc: true },
+        once: "npc",
+        dialogue: "{npc}_discussion"
+    }
+};
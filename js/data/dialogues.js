@@ -0,0 +1,1102 @@
+// ============================================================
+// Dialogues - Le Dernier Phare
+// Arbres de dialogue lus par le DialogueEngine (js/narrative/DialogueEngine.js)
+// Chaque arbre : { start, conditions?, nodes: { id: { speaker, text, effects?, next?, choices? } } }
+// Effets reconnus : meetNpc, joinLighthouse, npcStatus, revealSecret,
+//                   sanity, health, trust, flags, resources, journal, notify
+// Un arbre "<pnj>_rencontre" est joue quand le joueur rejoint un PNJ encore inconnu.
+// Un arbre "<pnj>_discussion" est joue par l'action "Parler" (js/data/actions.js).
+// ============================================================
+
+export const DIALOGUES = {
+
+    // === Le Marin (Acte 1) ===
+    marin_rencontre: {
+        start: "intro",
+        nodes: {
+            intro: {
+                speaker: "Narrateur",
+                text: "Un homme gît sur le sable, à demi-conscient. Ses vêtements sont trempés, ses lèvres bleues par le froid. Il ouvre les yeux en vous entendant approcher.",
+                effects: { flags: { marin_found: true } },
+                choices: [
+                    { text: "L'aider à se relever", effects: { trust: { marin: 1 } }, next: "aide" },
+                    { text: "L'observer à distance d'abord", effects: { trust: { marin: -1 }, sanity: -3 }, next: "observe" }
+                ]
+            },
+            aide: {
+                speaker: "Le Marin",
+                text: "Merci… Mon Dieu, merci. Je ne sais pas ce qui s'est passé. Le bateau… il y a eu un bruit terrible, comme si la mer elle-même criait. Et puis l'eau noire partout…",
+                choices: [
+                    {
+                        text: "Continuer",
+                        effects: {
+                            journal: { id: "marin_found", text: "Un marin naufragé retrouvé sur la grève. Il parle d'un bruit terrible et d'eau noire." },
+                            joinLighthouse: "marin",
+                            notify: { text: "Le Marin a rejoint le phare.", type: "event" }
+                        }
+                    }
+                ]
+            },
+            observe: {
+                speaker: "Narrateur",
+                text: "Vous l'observez ramper sur le sable. Il murmure quelque chose — des mots que vous ne comprenez pas. Une langue qui n'existe pas. Puis il vous voit et son regard change.",
+                choices: [
+                    {
+                        text: "Continuer",
+                        effects: {
+                            journal: { id: "marin_found", text: "Un marin retrouvé sur la grève. Il murmurait dans une langue inconnue avant de me voir." },
+                            flags: { saw_marin_speak_unknown: true },
+                            revealSecret: { npc: "marin", secret: "langue_inconnue" },
+                            joinLighthouse: "marin",
+                            notify: { text: "Le Marin a rejoint le phare.", type: "event" }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    // === L'Enfant (Acte 1) ===
+    enfant_rencontre: {
+        start: "intro",
+        nodes: {
+            intro: {
+                speaker: "Narrateur",
+                text: "Derrière un rocher, une fillette vous regarde. Pieds nus dans le sable glacé, elle ne tremble pas. Elle ne dit rien.",
+                effects: { meetNpc: "enfant" },
+                choices: [
+                    { text: "S'accroupir et lui tendre la main", effects: { trust: { enfant: 1 } }, next: "main" },
+                    { text: "Lui demander d'où elle vient", next: "question" }
+                ]
+            },
+            main: {
+                speaker: "L'Enfant",
+                text: "Elle prend votre main sans un mot. Ses doigts sont froids comme l'eau du large. En marchant vers le phare, elle fredonne un air que vous croyez connaître.",
+                choices: [
+                    {
+                        text: "La ramener au phare",
+                        effects: {
+                            joinLighthouse: "enfant",
+                            journal: { id: "enfant_found", text: "Une fillette muette sur la Plage du Silence. Elle fredonne un air familier." },
+                            notify: { text: "L'Enfant a rejoint le phare.", type: "event" }
+                        }
+                    }
+                ]
+            },
+            question: {
+                speaker: "L'Enfant",
+                text: "Elle tend le doigt vers la mer. Pas vers l'horizon — vers le fond.",
+                choices: [
+                    {
+                        text: "La ramener au phare",
+                        effects: {
+                            joinLighthouse: "enfant",
+                            revealSecret: { npc: "enfant", secret: "pas_de_bateau" },
+                            journal: { id: "enfant_found", text: "Une fillette muette sur la Plage du Silence. Quand je lui ai demandé d'où elle venait, elle a montré le fond de la mer." },
+                            notify: { text: "L'Enfant a rejoint le phare.", type: "event" }
+                        }
+                    },
+                    { text: "La laisser là", effects: { trust: { enfant: -1 }, sanity: -2 } }
+                ]
+            }
+        }
+    },
+
+    // === Elise, la Scientifique (Acte 2) ===
+    elise_rencontre: {
+        start: "intro",
+        nodes: {
+            intro: {
+                speaker: "Narrateur",
+                text: "Une femme fouille l'épave, une lampe à la main. Elle sursaute en vous voyant, puis serre contre elle une sacoche de cuir.",
+                effects: { meetNpc: "elise" },
+                choices: [
+                    { text: "Lui proposer l'abri du phare", effects: { trust: { elise: 1 } }, next: "abri" },
+                    { text: "Demander ce que contient la sacoche", effects: { trust: { elise: -1 } }, next: "sacoche" }
+                ]
+            },
+            abri: {
+                speaker: "Élise",
+                text: "Élise. Océanographe. Je… merci. Je dois surveiller certaines choses depuis un point élevé. Votre phare sera parfait.",
+                choices: [
+                    {
+                        text: "L'emmener au phare",
+                        effects: {
+                            joinLighthouse: "elise",
+                            journal: { id: "elise_found", text: "Élise, océanographe, rescapée du Morrigane. Elle veut \"surveiller certaines choses\" depuis le phare." },
+                            notify: { text: "Élise a rejoint le phare.", type: "event" }
+                        }
+                    }
+                ]
+            },
+            sacoche: {
+                speaker: "Élise",
+                text: "Des relevés. Des profondeurs, des températures. Rien qui vous regarde. Si vous voulez bien m'excuser, j'ai encore à faire ici.",
+                choices: [
+                    {
+                        text: "Insister pour qu'elle vienne au phare",
+                        conditions: { sanity: { min: 40 } },
+                        effects: {
+                            joinLighthouse: "elise",
+                            journal: { id: "elise_found", text: "Élise, océanographe. Sa sacoche est pleine de relevés des profondeurs. Elle ne veut pas en parler." },
+                            notify: { text: "Élise a rejoint le phare.", type: "event" }
+                        }
+                    },
+                    { text: "La laisser à ses relevés" }
+                ]
+            }
+        }
+    },
+
+    // === Le Pretre (Acte 3) ===
+    pretre_rencontre: {
+        start: "intro",
+        nodes: {
+            intro: {
+                speaker: "Narrateur",
+                text: "Un homme en soutane est agenouillé au milieu du village, le front contre les pavés. Il prie, mais les mots ne sont pas du latin.",
+                effects: { meetNpc: "pretre" },
+                choices: [
+                    { text: "Attendre qu'il ait fini", effects: { trust: { pretre: 1 } }, next: "patience" },
+                    { text: "L'interrompre", effects: { trust: { pretre: -1 } }, next: "interruption" }
+                ]
+            },
+            patience: {
+                speaker: "Le Prêtre",
+                text: "Vous êtes le nouveau gardien. Bien. Tant que la lumière brille, ils restent en bas. Je prierai pour que votre huile dure.",
+                choices: [
+                    {
+                        text: "Lui offrir l'abri du phare",
+                        effects: {
+                            joinLighthouse: "pretre",
+                            journal: { id: "pretre_found", text: "Un prêtre priait au village dans une langue qui n'était pas du latin. Il dit que la lumière les garde \"en bas\"." },
+                            notify: { text: "Le Prêtre a rejoint le phare.", type: "event" }
+                        }
+                    },
+                    { text: "Le laisser prier" }
+                ]
+            },
+            interruption: {
+                speaker: "Le Prêtre",
+                text: "On n'interrompt pas cette prière-là. Jamais. Allez-vous-en, gardien, et gardez votre lampe allumée.",
+                choices: [{ text: "Partir", effects: { sanity: -2 } }]
+            }
+        }
+    },
+
+    // === Nadia (Acte 3) ===
+    nadia_rencontre: {
+        start: "intro",
+        nodes: {
+            intro: {
+                speaker: "Narrateur",
+                text: "Une femme se tient au bord de l'eau noire, immobile. Vous êtes certain qu'elle n'était pas là un instant plus tôt.",
+                effects: { meetNpc: "nadia" },
+                choices: [
+                    { text: "La saluer", next: "salut" },
+                    { text: "Regarder à ses pieds", effects: { sanity: -4 }, next: "ombre" }
+                ]
+            },
+            salut: {
+                speaker: "Nadia",
+                text: "Nadia. Je connais ce phare mieux que vous ne le connaîtrez jamais. Je viendrai quand la nuit sera longue.",
+                choices: [
+                    {
+                        text: "Lui ouvrir la porte du phare",
+                        effects: {
+                            joinLighthouse: "nadia",
+                            journal: { id: "nadia_found", text: "Nadia, sur la Grève Noire. Elle dit connaître le phare mieux que moi." },
+                            notify: { text: "Nadia a rejoint le phare.", type: "event" }
+                        }
+                    },
+                    { text: "Ne rien répondre" }
+                ]
+            },
+            ombre: {
+                speaker: "Narrateur",
+                text: "Le soleil est bas, les rochers projettent de longues ombres. Pas elle.",
+                choices: [
+                    {
+                        text: "…",
+                        effects: {
+                            revealSecret: { npc: "nadia", secret: "ombre" },
+                            journal: { id: "nadia_found", text: "Nadia, sur la Grève Noire. Elle ne projette aucune ombre." }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    // === La Capitaine (Acte 4) ===
+    capitaine_rencontre: {
+        start: "intro",
+        nodes: {
+            intro: {
+                speaker: "Narrateur",
+                text: "Une femme en veste d'officier scrute la crique, une longue-vue brisée à la main. Ses galons portent le nom du Morrigane.",
+                effects: { meetNpc: "capitaine" },
+                choices: [
+                    { text: "Lui parler de l'épave", next: "epave" },
+                    {
+                        text: "Lui parler de ce qui respire dans la cale",
+                        conditions: { flags: { touched_something_in_hull: true } },
+                        effects: { trust: { capitaine: -2 } },
+                        next: "cale"
+                    }
+                ]
+            },
+            epave: {
+                speaker: "La Capitaine",
+                text: "Mon navire. Mon équipage. Avez-vous trouvé des survivants ? Emmenez-moi à eux.",
+                choices: [
+                    {
+                        text: "L'emmener au phare",
+                        effects: {
+                            joinLighthouse: "capitaine",
+                            trust: { capitaine: 1 },
+                            journal: { id: "capitaine_found", text: "La capitaine du Morrigane, dans la Crique Cachée. Elle cherche son équipage." },
+                            notify: { text: "La Capitaine a rejoint le phare.", type: "event" }
+                        }
+                    }
+                ]
+            },
+            cale: {
+                speaker: "La Capitaine",
+                text: "Vous êtes descendu. Alors vous savez pourquoi j'ai fait clouer l'écoutille. Ne me regardez pas comme ça.",
+                choices: [
+                    {
+                        text: "…",
+                        effects: {
+                            revealSecret: { npc: "capitaine", secret: "abandon" },
+                            journal: { id: "capitaine_found", text: "La capitaine du Morrigane a fait clouer l'écoutille de la cale. Avec son équipage dessous." }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    // === Discussions (action "Parler", js/data/actions.js) ===
+    // Une fois par jour et par PNJ deja rencontre. Les confidences demandent
+    // de la confiance et ne sont livrees qu'une fois (flag "<pnj>_confidence").
+
+    marin_discussion: {
+        start: "intro",
+        nodes: {
+            intro: {
+                speaker: "Le Marin",
+                text: "Le vent tourne, gardien. Sur un navire, on saurait quoi en penser. Ici, je ne sais plus rien.",
+                choices: [
+                    { text: "Parler du temps qu'il fera", effects: { trust: { marin: 1 }, sanity: 2 } },
+                    {
+                        text: "Lui demander le nom de son navire",
+                        conditions: { trust: { marin: { min: 3 } }, flags: { marin_confidence: false } },
+                        next: "confidence"
+                    },
+                    { text: "Le laisser à ses pensées" }
+                ]
+            },
+            confidence: {
+                speaker: "Le Marin",
+                text: "Le Morrigane. Voilà, c'est dit. Ne le répétez pas à la capitaine, si jamais elle revient d'en bas.",
+                choices: [
+                    {
+                        text: "…",
+                        effects: {
+                            flags: { marin_confidence: true },
+                            revealSecret: { npc: "marin", secret: "morrigane" },
+                            journal: { id: "marin_confidence", text: "Le marin servait à bord du Morrigane. Il a peur de sa capitaine." }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    enfant_discussion: {
+        start: "intro",
+        nodes: {
+            intro: {
+                speaker: "Narrateur",
+                text: "La fillette dessine des spirales dans le sable mouillé. Elle lève les yeux vers vous sans cesser de tracer.",
+                choices: [
+                    { text: "Dessiner à côté d'elle", effects: { trust: { enfant: 1 }, sanity: 3 } },
+                    {
+                        text: "Lui fredonner l'air de la grotte",
+                        conditions: { trust: { enfant: { min: 3 } }, flags: { enfant_confidence: false, sang_with_cave: true } },
+                        next: "confidence"
+                    },
+                    { text: "La laisser jouer" }
+                ]
+            },
+            confidence: {
+                speaker: "Narrateur",
+                text: "Elle reprend l'air avec vous, note pour note, puis continue là où vous vous arrêtez. Plus loin que vous ne l'avez jamais entendu.",
+                choices: [
+                    {
+                        text: "Se taire",
+                        effects: {
+                            flags: { enfant_confidence: true },
+                            revealSecret: { npc: "enfant", secret: "chant" },
+                            sanity: -4,
+                            journal: { id: "enfant_confidence", text: "L'enfant connaît la suite du chant de la grotte. Elle ne l'a pas appris de nous." }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    elise_discussion: {
+        start: "intro",
+        nodes: {
+            intro: {
+                speaker: "Élise, la Scientifique",
+                text: "La température de l'eau a encore baissé de deux degrés. À cette latitude, c'est impossible. Je le note quand même.",
+                choices: [
+                    { text: "L'aider à relever ses mesures", effects: { trust: { elise: 1 } } },
+                    {
+                        text: "Lui demander ce qu'elle cache dans sa sacoche",
+                        conditions: { trust: { elise: { min: 3 } }, flags: { elise_confidence: false } },
+                        next: "confidence"
+                    },
+                    { text: "La laisser travailler" }
+                ]
+            },
+            confidence: {
+                speaker: "Élise, la Scientifique",
+                text: "Un échantillon. Remonté à neuf cents mètres, la veille du naufrage. Il est encore tiède. Il l'est toujours.",
+                choices: [
+                    {
+                        text: "…",
+                        effects: {
+                            flags: { elise_confidence: true },
+                            revealSecret: { npc: "elise", secret: "echantillon" },
+                            sanity: -3,
+                            journal: { id: "elise_confidence", text: "Élise garde un échantillon remonté des profondeurs. Il ne refroidit pas." }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    pretre_discussion: {
+        start: "intro",
+        nodes: {
+            intro: {
+                speaker: "Le Prêtre",
+                text: "Vous ne dormez pas assez, gardien. Asseyez-vous un instant. La lumière ne s'éteindra pas parce que vous fermez les yeux.",
+                choices: [
+                    { text: "S'asseoir avec lui", effects: { trust: { pretre: 1 }, sanity: 4 } },
+                    { text: "Décliner poliment" }
+                ]
+            }
+        }
+    },
+
+    nadia_discussion: {
+        start: "intro",
+        nodes: {
+            intro: {
+                speaker: "Nadia",
+                text: "La troisième marche de l'escalier grince. Elle grinçait déjà avant vous. Vous l'aviez remarqué ?",
+                choices: [
+                    { text: "Lui parler du phare", effects: { trust: { nadia: 1 }, sanity: -1 } },
+                    {
+                        text: "Lui demander comment elle le sait",
+                        conditions: { trust: { nadia: { min: 3 } }, flags: { nadia_confidence: false } },
+                        next: "confidence"
+                    },
+                    { text: "Changer de sujet" }
+                ]
+            },
+            confidence: {
+                speaker: "Nadia",
+                text: "J'ai tenu cette lampe avant vous. Longtemps avant vous. Les registres ne m'ont pas gardée, mais le phare, si.",
+                choices: [
+                    {
+                        text: "…",
+                        effects: {
+                            flags: { nadia_confidence: true },
+                            revealSecret: { npc: "nadia", secret: "gardienne" },
+                            sanity: -5,
+                            journal: { id: "nadia_confidence", text: "Nadia dit avoir été gardienne de ce phare. Aucun registre ne porte son nom." }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    capitaine_discussion: {
+        start: "intro",
+        nodes: {
+            intro: {
+                speaker: "La Capitaine",
+                text: "Les courants autour de cette île ne figurent sur aucune carte. J'aurais dû le savoir. J'aurais dû.",
+                choices: [
+                    { text: "Parler navigation avec elle", effects: { trust: { capitaine: 1 } } },
+                    {
+                        text: "Lui demander pourquoi elle a mis le cap ici",
+                        conditions: { trust: { capitaine: { min: 3 } }, flags: { capitaine_confidence: false } },
+                        next: "confidence"
+                    },
+                    { text: "La laisser à sa longue-vue" }
+                ]
+            },
+            confidence: {
+                speaker: "La Capitaine",
+                text: "Parce qu'on me l'avait ordonné. Pas l'armateur. Quelque chose qui parlait dans la radio, la nuit, avec la voix de ma mère.",
+                choices: [
+                    {
+                        text: "…",
+                        effects: {
+                            flags: { capitaine_confidence: true },
+                            revealSecret: { npc: "capitaine", secret: "cap" },
+                            trust: { capitaine: -1 },
+                            journal: { id: "capitaine_confidence", text: "La capitaine a mis le cap sur l'île de son plein gré. Une voix le lui avait demandé." }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    // === Falaise Nord ===
+    cliff_vision: {
+        start: "vision",
+        conditions: { flags: { cliff_vision: false } },
+        nodes: {
+            vision: {
+                speaker: "Narrateur",
+                text: "Du haut de la falaise, vous contemplez l'océan. Pendant un instant — un bref instant — vous croyez voir quelque chose bouger sous la surface. Quelque chose de vaste. La sensation disparaît, mais pas le malaise.",
+                effects: { flags: { cliff_vision: true }, sanity: -8 },
+                choices: [
+                    {
+                        text: "…",
+                        effects: {
+                            journal: { id: "cliff_vision", text: "Depuis la falaise nord, j'ai cru voir… quelque chose d'immense sous les vagues. Mon esprit me joue peut-être des tours." },
+                            notify: { text: "Santé mentale −8", type: "danger" }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    // === L'Epave du Morrigane ===
+    morrigane_epave: {
+        start: "epave",
+        conditions: { flags: { shipwreck_explored: false } },
+        nodes: {
+            epave: {
+                speaker: "Narrateur",
+                text: "L'épave du Morrigane gît sur les rochers comme une carcasse éventrée. À l'intérieur, l'eau clapote dans l'obscurité. Un journal de bord est encore lisible sur la table du capitaine.",
+                effects: { flags: { shipwreck_explored: true } },
+                choices: [
+                    { text: "Lire le journal de bord", next: "journal_de_bord" },
+                    { text: "Fouiller la cale", effects: { sanity: -5 }, next: "cale" }
+                ]
+            },
+            journal_de_bord: {
+                speaker: "Journal du Morrigane",
+                text: "\"14 novembre — Le compas s'affole depuis deux jours. L'équipage entend des choses la nuit. Le mousse refuse de descendre dans la cale. Il dit que quelque chose respire en dessous.\"",
+                choices: [
+                    {
+                        text: "Fermer le journal",
+                        effects: {
+                            journal: { id: "morrigane_log", text: "Journal du Morrigane : le compas s'affolait, l'équipage entendait des choses. Quelque chose \"respirait\" sous la cale." }
+                        }
+                    }
+                ]
+            },
+            cale: {
+                speaker: "Narrateur",
+                text: "La cale est inondée d'une eau noire et épaisse. En y plongeant la main, vos doigts effleurent quelque chose de lisse et froid. Ça bouge. Vous retirez votre main. Il n'y a rien. Il n'y a jamais rien eu.",
+                choices: [
+                    {
+                        text: "…",
+                        effects: {
+                            journal: { id: "morrigane_hull", text: "Dans la cale du Morrigane, j'ai touché… quelque chose. L'eau était noire comme de l'encre." },
+                            flags: { touched_something_in_hull: true },
+                            notify: { text: "Santé mentale −5", type: "danger" }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    // === Le Phare ===
+    retour_au_phare: {
+        start: "registre",
+        nodes: {
+            registre: {
+                speaker: "Narrateur",
+                text: "La porte du phare grince sur ses gonds. Sur la table de la salle de veille, le registre de l'ancien gardien est resté ouvert. La dernière page est couverte d'une même phrase, répétée jusqu'à déchirer le papier.",
+                choices: [
+                    { text: "Lire la phrase", next: "phrase" },
+                    { text: "Refermer le registre", effects: { flags: { registre_ferme: true } } }
+                ]
+            },
+            phrase: {
+                speaker: "Registre du gardien",
+                text: "\"La lumière ne doit jamais s'éteindre. La lumière ne doit jamais s'éteindre. La lumière ne doit jamais s'éteindre.\"",
+                choices: [
+                    {
+                        text: "…",
+                        effects: {
+                            sanity: -2,
+                            flags: { registre_lu: true },
+                            journal: { id: "registre_gardien", text: "Le registre de l'ancien gardien : une seule phrase, encore et encore. La lumière ne doit jamais s'éteindre." }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    // === Bois des Murmures ===
+    bois_des_murmures: {
+        start: "murmures",
+        nodes: {
+            murmures: {
+                speaker: "Narrateur",
+                text: "Le vent tombe d'un coup. Dans le silence, les voix se font plus nettes — un chuchotement qui passe d'arbre en arbre, toujours juste derrière vous.",
+                choices: [
+                    { text: "Tendre l'oreille", effects: { sanity: -4 }, next: "ecouter" },
+                    { text: "Presser le pas sans se retourner" }
+                ]
+            },
+            ecouter: {
+                speaker: "Les Murmures",
+                text: "…gardien… gardien… il est revenu… il revient toujours…",
+                choices: [
+                    {
+                        text: "Fuir le bois",
+                        effects: {
+                            flags: { heard_whispers: true },
+                            journal: { id: "murmures", text: "Dans le Bois des Murmures, les voix m'ont appelé gardien. Elles disent que je reviens toujours." },
+                            notify: { text: "Santé mentale −4", type: "danger" }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    // === Pointe des Lamentations ===
+    pointe_des_lamentations: {
+        start: "pleurs",
+        nodes: {
+            pleurs: {
+                speaker: "Narrateur",
+                text: "Le vent s'engouffre entre les rochers et les pleurs montent, se répondent, s'entremêlent. Au milieu, une voix se détache — une voix d'enfant.",
+                choices: [
+                    {
+                        text: "S'éloigner",
+                        effects: {
+                            flags: { heard_child_crying: true },
+                            journal: { id: "lamentations", text: "À la Pointe des Lamentations, parmi les pleurs du vent, j'ai cru entendre un enfant." }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    // === Falaise de l'Observatoire ===
+    symboles_observatoire: {
+        start: "symboles",
+        nodes: {
+            symboles: {
+                speaker: "Narrateur",
+                text: "Les symboles gravés forment une spirale qui s'enfonce vers le centre de la dalle. Certains sont usés par des siècles de vent, d'autres sont frais, la roche encore claire.",
+                effects: { flags: { symbols_seen: true } },
+                choices: [
+                    { text: "Recopier les symboles dans le journal", next: "recopie" },
+                    { text: "Ne pas y toucher" }
+                ]
+            },
+            recopie: {
+                speaker: "Narrateur",
+                text: "Votre main tremble en traçant la dernière figure. En relevant les yeux, vous réalisez que la spirale pointe droit vers le phare.",
+                choices: [
+                    {
+                        text: "Refermer le journal",
+                        effects: {
+                            sanity: -3,
+                            flags: { symbols_copied: true },
+                            journal: { id: "symboles", text: "Symboles de l'Observatoire recopiés. Une spirale, anciennes et nouvelles gravures mêlées. Elle pointe vers le phare." }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    // === Village Abandonne ===
+    village_abandonne: {
+        start: "village",
+        nodes: {
+            village: {
+                speaker: "Narrateur",
+                text: "Les assiettes sont encore sur les tables, couvertes d'une poussière grise. Sur chaque porte, la même marque a été tracée à la craie : un cercle barré d'une vague.",
+                choices: [
+                    { text: "Fouiller la maison du maire", next: "registre" },
+                    { text: "Ne rien déranger" }
+                ]
+            },
+            registre: {
+                speaker: "Registre du village",
+                text: "\"Le gardien a éteint la lumière pour la troisième nuit. Ceux de la mer sont montés jusqu'aux portes. Nous partons au matin.\"",
+                choices: [
+                    {
+                        text: "Emporter la page",
+                        effects: {
+                            flags: { village_register: true },
+                            journal: { id: "registre_village", text: "Le village a été abandonné après que le gardien a éteint le phare trois nuits. \"Ceux de la mer\" sont montés jusqu'aux portes." }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    // === Grotte des Marees ===
+    grotte_des_marees: {
+        start: "grotte",
+        nodes: {
+            grotte: {
+                speaker: "Narrateur",
+                text: "L'eau s'est retirée en laissant les parois luisantes. Au fond, quelqu'un a entassé des vivres à l'abri de la marée — et gravé un décompte de jours sur la roche. Le décompte s'arrête à cinq.",
+                choices: [
+                    {
+                        text: "Ressortir avant le retour de l'eau",
+                        effects: {
+                            flags: { tidal_cave_explored: true },
+                            journal: { id: "grotte_marees", text: "Dans la Grotte des Marées, une réserve cachée et un décompte gravé. Cinq jours. Le mien ?" }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    // === Clairiere des Idoles ===
+    clairiere_des_idoles: {
+        start: "idoles",
+        nodes: {
+            idoles: {
+                speaker: "Narrateur",
+                text: "Les trois pierres sont tièdes malgré le froid. Sur chacune, une silhouette grossièrement taillée : un homme, une femme, et une troisième forme qui n'a rien d'humain.",
+                effects: { flags: { idols_seen: true } },
+                choices: [
+                    { text: "Poser la main sur la troisième pierre", effects: { sanity: -5 }, next: "toucher" },
+                    { text: "Quitter la clairière" }
+                ]
+            },
+            toucher: {
+                speaker: "Narrateur",
+                text: "La pierre pulse sous votre paume, lentement, comme un cœur endormi. L'espace d'un battement, vous sentez l'océan entier peser sur vos épaules.",
+                choices: [
+                    {
+                        text: "Retirer la main",
+                        effects: {
+                            flags: { touched_idol: true },
+                            journal: { id: "idoles", text: "Clairière des Idoles : trois pierres, dont une qui bat comme un cœur. Je n'aurais pas dû la toucher." },
+                            notify: { text: "Santé mentale −5", type: "danger" }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    // === Temple Englouti ===
+    temple_englouti: {
+        start: "temple",
+        nodes: {
+            temple: {
+                speaker: "Narrateur",
+                text: "Passé l'éboulement, les colonnes s'enfoncent dans une salle dont les angles sont faux — trop aigus, ou trop ouverts, selon l'endroit où l'on pose le regard. Au centre, un puits descend vers le bruit des vagues.",
+                effects: { flags: { temple_entered: true } },
+                choices: [
+                    {
+                        text: "Reculer",
+                        effects: {
+                            journal: { id: "temple", text: "Le Temple Englouti. Une salle aux angles impossibles, un puits qui descend jusqu'à la mer." },
+                            notify: { text: "Santé mentale −10", type: "danger" }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    // === Cimetiere Marin ===
+    cimetiere_marin: {
+        start: "tombes",
+        nodes: {
+            tombes: {
+                speaker: "Narrateur",
+                text: "Entre les croix tordues, une tombe fraîchement creusée attend, vide. La planche qui lui sert de croix porte un nom gravé au couteau.",
+                choices: [
+                    { text: "Lire le nom", effects: { sanity: -6 }, next: "nom" },
+                    { text: "Détourner le regard" }
+                ]
+            },
+            nom: {
+                speaker: "Narrateur",
+                text: "C'est le vôtre.",
+                choices: [
+                    {
+                        text: "…",
+                        effects: {
+                            flags: { own_grave_seen: true },
+                            journal: { id: "cimetiere", text: "Au Cimetière Marin, une tombe vide porte mon nom." },
+                            notify: { text: "Santé mentale −6", type: "danger" }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    // === L'Autel des Profondeurs ===
+    autel_des_profondeurs: {
+        start: "autel",
+        nodes: {
+            autel: {
+                speaker: "Narrateur",
+                text: "Le monolithe vibre d'un bourdonnement grave que vous sentez dans vos dents. Parmi les offrandes séchées, une lanterne de gardien, identique à la vôtre.",
+                choices: [
+                    { text: "Déposer une offrande", effects: { resources: { food: -1 }, sanity: 5 }, next: "offrande" },
+                    { text: "Briser les offrandes", effects: { sanity: -10 }, next: "profanation" },
+                    { text: "Partir" }
+                ]
+            },
+            offrande: {
+                speaker: "Narrateur",
+                text: "Le bourdonnement s'apaise. Quelque part sous la mer, quelque chose se rendort.",
+                choices: [
+                    {
+                        text: "…",
+                        effects: {
+                            flags: { altar_offering: true },
+                            journal: { id: "autel", text: "J'ai déposé une offrande sur l'Autel des Profondeurs. Le bourdonnement s'est tu." }
+                        }
+                    }
+                ]
+            },
+            profanation: {
+                speaker: "Narrateur",
+                text: "Les offrandes s'effritent sous vos coups. Le bourdonnement devient un grondement, et la mer, en contrebas, se retire d'un coup.",
+                choices: [
+                    {
+                        text: "…",
+                        effects: {
+                            flags: { altar_desecrated: true },
+                            journal: { id: "autel", text: "J'ai brisé les offrandes de l'Autel. La mer s'est retirée comme on retient son souffle." }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    // === Anse des Naufrages ===
+    anse_des_naufrages: {
+        start: "mannequins",
+        nodes: {
+            mannequins: {
+                speaker: "Narrateur",
+                text: "Les mannequins de bois sont alignés face à la mer. Ils portent des vêtements de marin, trempés. L'un d'eux a le visage tourné vers vous, alors que vous êtes certain qu'il regardait les vagues.",
+                choices: [
+                    {
+                        text: "Reculer lentement",
+                        effects: {
+                            flags: { mannequins_seen: true },
+                            journal: { id: "mannequins", text: "Anse des Naufrages : des mannequins en habits de marin, face à la mer. L'un d'eux a tourné la tête." },
+                            notify: { text: "Santé mentale −4", type: "danger" }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    // === Dents de la Mer ===
+    dents_de_la_mer: {
+        start: "cercle",
+        nodes: {
+            cercle: {
+                speaker: "Narrateur",
+                text: "Vus d'ici, les rochers forment un cercle presque parfait, ouvert d'un seul côté. L'ouverture fait face au phare.",
+                effects: { flags: { teeth_circle: true } },
+                choices: [
+                    {
+                        text: "Comparer avec les symboles de l'Observatoire",
+                        conditions: { flags: { symbols_copied: true } },
+                        next: "comparaison"
+                    },
+                    {
+                        text: "Noter la forme",
+                        effects: {
+                            journal: { id: "dents", text: "Les Dents de la Mer forment un cercle ouvert vers le phare." }
+                        }
+                    }
+                ]
+            },
+            comparaison: {
+                speaker: "Narrateur",
+                text: "La spirale recopiée se superpose exactement au cercle de rochers. Ce n'est pas un dessin. C'est une carte — et le phare en est le centre.",
+                choices: [
+                    {
+                        text: "…",
+                        effects: {
+                            sanity: -4,
+                            flags: { map_understood: true },
+                            journal: { id: "dents", text: "Les Dents de la Mer et la spirale de l'Observatoire sont la même figure. Une carte, centrée sur le phare." }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    // === Grotte du Chant ===
+    grotte_du_chant: {
+        start: "chant",
+        nodes: {
+            chant: {
+                speaker: "Narrateur",
+                text: "La caverne résonne d'un chant sans souffle. Les mots vous échappent, mais la mélodie, elle, vous est familière — c'est celle que fredonnait votre mère.",
+                choices: [
+                    {
+                        text: "Fredonner avec elle",
+                        effects: {
+                            sanity: -4,
+                            flags: { sang_with_cave: true },
+                            journal: { id: "grotte_chant", text: "J'ai fredonné avec le chant de la grotte. Je connaissais l'air. Je ne sais pas comment." }
+                        }
+                    },
+                    {
+                        text: "Se boucher les oreilles",
+                        effects: {
+                            flags: { singing_cave_heard: true },
+                            journal: { id: "grotte_chant", text: "La Grotte du Chant : une mélodie qui semble venir de mon enfance." }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    // ============================================================
+    // Hallucinations (evenements "hallucination" de events.js)
+    // ============================================================
+
+    halluc_marin_noye: {
+        start: "apparition",
+        nodes: {
+            apparition: {
+                speaker: "Le Marin",
+                text: "Le Marin se tient devant vous, trempé, les lèvres bleues. De l'eau coule de sa bouche quand il parle. « Tu ne m'as jamais sorti des rochers, gardien. Tu t'en souviens, non ? »",
+                choices: [
+                    { text: "Lui tendre la main", next: "vide" },
+                    { text: "Détourner le regard", next: "parti" }
+                ]
+            },
+            vide: {
+                speaker: "Narrateur",
+                text: "Votre main se referme sur du vide. Il n'y a personne. Seulement une flaque d'eau de mer, là où il se tenait.",
+                effects: { sanity: -3 }
+            },
+            parti: {
+                speaker: "Narrateur",
+                text: "Quand vous relevez les yeux, il n'y a plus personne. Le sable est sec."
+            }
+        }
+    },
+
+    halluc_appel_du_phare: {
+        start: "appel",
+        nodes: {
+            appel: {
+                speaker: "Une voix",
+                text: "Une voix hurle depuis le phare, portée par le vent : « Gardien ! La lampe ! La lampe s'est éteinte ! » Vous levez les yeux. La tour est là, immobile, et personne n'est censé s'y trouver.",
+                choices: [
+                    {
+                        text: "Crier en retour",
+                        next: "echo"
+                    },
+                    {
+                        text: "Ne rien répondre",
+                        effects: { sanity: -2 }
+                    }
+                ]
+            },
+            echo: {
+                speaker: "Narrateur",
+                text: "Votre propre voix vous revient, une seconde trop tard, avec des mots que vous n'avez pas prononcés."
+            }
+        }
+    },
+
+    halluc_chant_de_l_enfant: {
+        start: "chant",
+        nodes: {
+            chant: {
+                speaker: "L'Enfant",
+                text: "Une fillette aux pieds nus chante au bord de l'eau. C'est votre nom qu'elle chante, sur l'air de la grotte. Elle ne s'interrompt pas quand vous approchez.",
+                choices: [
+                    {
+                        text: "Chanter avec elle",
+                        effects: { sanity: -4 }
+                    },
+                    {
+                        text: "Reculer lentement"
+                    }
+                ]
+            }
+        }
+    },
+
+    // === Nuits au phare ===
+    nuit_naufrage: {
+        start: "fracas",
+        nodes: {
+            fracas: {
+                speaker: "Narrateur",
+                text: "Vers trois heures, un craquement immense monte des récifs. Du bois qui se brise, puis des cris, très brefs. Aucune lumière ne les a prévenus.",
+                choices: [
+                    {
+                        text: "Descendre vers la grève avec une torche",
+                        effects: {
+                            sanity: -6,
+                            resources: { supplies: 2 },
+                            journal: { id: "naufrage_nocturne", text: "Un navire s'est brisé sur les récifs pendant la nuit sans lumière. Je n'ai ramené que du bois. Personne." }
+                        }
+                    },
+                    {
+                        text: "Rester en haut et boucher vos oreilles",
+                        effects: { sanity: -3 }
+                    }
+                ]
+            }
+        }
+    },
+
+    nuit_visiteur: {
+        start: "grattement",
+        nodes: {
+            grattement: {
+                speaker: "Narrateur",
+                text: "Quelque chose gratte à la porte de la tour. Lentement, avec patience, comme on gratte un coquillage pour l'ouvrir. Le loquet tremble.",
+                choices: [
+                    {
+                        text: "Barricader la porte avec les caisses de vivres",
+                        effects: {
+                            sanity: -2,
+                            resources: { food: -1 },
+                            notify: { text: "Au matin, une caisse éventrée gît au pied de la porte. (−1 nourriture)", type: "danger" }
+                        }
+                    },
+                    {
+                        text: "Attendre en silence que cela cesse",
+                        effects: { sanity: -5 }
+                    }
+                ]
+            }
+        }
+    },
+
+    nuit_reponse_du_large: {
+        start: "signal",
+        nodes: {
+            signal: {
+                speaker: "Narrateur",
+                text: "Le faisceau de la nouvelle lentille porte loin dans la brume. Au large, une lumière clignote en réponse : trois éclats, une pause, trois éclats.",
+                choices: [
+                    {
+                        text: "Noter le signal",
+                        effects: {
+                            sanity: 3,
+                            flags: { ship_signaled: true },
+                            journal: { id: "reponse_du_large", text: "Un navire a répondu au phare. Trois éclats, une pause, trois éclats. Quelqu'un sait que nous sommes là." }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    nuit_navire_apercu: {
+        start: "feux",
+        nodes: {
+            feux: {
+                speaker: "Narrateur",
+                text: "Après des heures d'éclats patients, un feu de position apparaît au large. Rouge, puis vert. Un navire a vu votre signal et ralentit, hésitant au bord de la brume.",
+                choices: [
+                    {
+                        text: "Continuer le signal jusqu'à l'aube",
+                        effects: {
+                            sanity: 2,
+                            flags: { ship_sighted: true },
+                            journal: { id: "navire_apercu", text: "Un navire a vu le signal. Il n'a pas osé approcher, mais il sait maintenant qu'il y a quelqu'un ici." }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    nuit_attires_par_la_lumiere: {
+        start: "silhouettes",
+        nodes: {
+            silhouettes: {
+                speaker: "Narrateur",
+                text: "Le plein feu balaie la grève. À chaque passage, les silhouettes sorties de l'eau sont un peu plus nombreuses, un peu plus près de la tour. Elles ne bougent pas quand la lumière les touche. Elles la regardent.",
+                choices: [
+                    {
+                        text: "Baisser la flamme",
+                        effects: { sanity: -3 }
+                    },
+                    {
+                        text: "Soutenir leur regard",
+                        effects: {
+                            sanity: -6,
+                            flags: { drawn_to_light: true },
+                            journal: { id: "attires_par_la_lumiere", text: "La lumière les attire. Ils sortent de la mer pour la regarder, et ils se souviennent de qui l'a allumée." }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+
+    nuit_vigie: {
+        start: "galerie",
+        nodes: {
+            galerie: {
+                speaker: "Narrateur",
+                text: "Depuis la galerie réparée, vous suivez le faisceau sur l'eau. À chaque passage, la mer est un peu plus près de la côte. Ou bien quelque chose, dessous, remonte.",
+                choices: [
+                    {
+                        text: "Compter les passages jusqu'à l'aube",
+                        effects: {
+                            sanity: -2,
+                            journal: { id: "vigie_galerie", text: "De la galerie, la nuit, la mer semble monter vers l'île. Elle ne redescend pas." }
+                        }
+                    },
+                    {
+                        text: "Rentrer dans la tour"
+                    }
+                ]
+            }
+        }
+    }
+};
@@ -0,0 +1,107 @@
+// ============================================================
+// FINS - Le Dernier Phare
+// Liste ordonnee : EndingResolver retient la premiere fin dont la
+// raison ("complete" par defaut, "sanity" si l'esprit a sombre,
+// "health" si le corps a lache) et
+// les conditions (format de narrative/Conditions.js) sont remplies.
+// La derniere fin de chaque raison doit rester sans condition.
+//
+// Cles de conditions utiles ici :
+//   lighthouse: { lit: { min }, dark: { max }, last: true, level, levels }
+//   survivors:  { min }   PNJs rencontres, ni morts ni disparus
+//   sheltered:  { min }   PNJs abrites au phare
+//   hallucinations: { followed: { min } }   fausses notes du journal suivies
+// ============================================================
+
+export const ENDINGS = [
+    {
+        id: "folie",
+        reason: "sanity",
+        title: "Le Gardien Sans Visage",
+        text: "Vous ne savez plus depuis quand vous montez l'escalier du phare. Les marches ne finissent pas. En bas, quelqu'un allume la lanterne à votre place, et il porte vos vêtements."
+    },
+    {
+        id: "gardien_perdu",
+        reason: "health",
+        title: "Le Gardien Perdu",
+        text: "On retrouvera votre corps bien plus tard, poli par la marée, dans un endroit où vous n'auriez jamais dû vous attarder. Cette nuit-là, et les suivantes, le phare resta éteint."
+    },
+    {
+        id: "chant_des_profondeurs",
+        title: "Le Chant des Profondeurs",
+        text: "Au dernier matin, vous descendez vers la mer sans l'avoir décidé. L'eau est tiède. Le chant vous connaît par votre nom. Le phare reste éteint, et l'île a enfin son gardien.",
+        conditions: {
+            flags: { altar_offering: true },
+            sanity: { max: 40 }
+        }
+    },
+    {
+        id: "gardien_eternel",
+        title: "Le Gardien Éternel",
+        text: "Nadia vous tend les clés du phare comme on passe un fardeau. Les naufragés partiront avec le premier navire. Vous, vous resterez : la lumière ne peut pas s'éteindre, et il faut toujours quelqu'un pour la veiller.",
+        conditions: {
+            npcs: { nadia: { secrets: ["gardienne"] } },
+            lighthouse: { dark: { max: 0 } }
+        }
+    },
+    {
+        id: "aube_du_navire",
+        title: "L'Aube du Navire",
+        text: "À l'aube du sixième jour, une corne de brume répond à la lumière. Un navire approche, guidé par le faisceau que vous n'avez presque jamais laissé mourir. Ceux que vous avez abrités montent à bord avec vous. Aucun ne se retourne.",
+        conditions: {
+            lighthouse: { lit: { min: 4 }, last: true },
+            sheltered: { min: 3 },
+            sanity: { min: 40 }
+        }
+    },
+    {
+        id: "phare_des_mirages",
+        title: "Le Phare des Mirages",
+        text: "Vous avez couru après des lumières, des portes et des barils qui n'existaient pas. Le navire est venu, une nuit où la lanterne était froide. Dans votre journal, d'une écriture qui ressemble à la vôtre, une dernière note : « Il est déjà reparti. »",
+        conditions: {
+            hallucinations: { followed: { min: 2 } },
+            lighthouse: { last: false }
+        }
+    },
+    {
+        id: "rescapes",
+        title: "Les Rescapés",
+        text: "Un navire finit par accoster. Il y a de la place pour tout le monde, mais pas pour tout ce que vous avez vu. Certains noms manqueront à l'appel, et vous savez lesquels.",
+        conditions: {
+            lighthouse: { lit: { min: 3 } },
+            survivors: { min: 1 }
+        }
+    },
+    {
+        id: "nuit_sans_fin",
+        title: "La Nuit Sans Fin",
+        text: "Le phare est resté noir trop souvent. Les navires sont passés au large sans rien voir. Le brouillard ne se lève plus, et l'île garde ceux qui l'ont laissée dans l'obscurité.",
+        conditions: {
+            lighthouse: { dark: { min: 3 } }
+        }
+    },
+    {
+        id: "seul",
+        title: "Le Dernier Veilleur",
+        text: "Le cinquième jour s'achève. Personne ne vient. Vous rallumez la lanterne par habitude, et quelque part au large, quelque chose vous regarde faire."
+    }
+];
+
+// Choix marquants repris dans le recapitulatif de fin (flag -> texte).
+export const RECAP_CHOICES = {
+    marin_found:        "Vous avez tiré le marin des rochers.",
+    shipwreck_explored: "Vous avez fouillé l'épave du Morrigane.",
+    symbols_copied:     "Vous avez recopié les symboles de l'observatoire.",
+    registre_lu:        "Vous avez lu le registre du village abandonné.",
+    registre_ferme:     "Vous avez refermé le registre sans le lire.",
+    touched_idol:       "Vous avez touché une idole de la clairière.",
+    temple_entered:     "Vous êtes entré dans le temple englouti.",
+    own_grave_seen:     "Vous avez vu votre propre tombe.",
+    altar_offering:     "Vous avez fait une offrande à l'autel.",
+    altar_desecrated:   "Vous avez profané l'autel des profondeurs.",
+    map_understood:     "Vous avez compris la carte des Dents de la Mer.",
+    sang_with_cave:     "Vous avez chanté avec la grotte.",
+    ship_signaled:      "Un navire a répondu au faisceau du phare.",
+    ship_sighted:       "Un navire a aperçu vos signaux dans la nuit.",
+    drawn_to_light:     "Vous avez soutenu le regard de ceux que la lumière attire."
+};
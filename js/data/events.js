@@ -0,0 +1,165 @@
+// ============================================================
+// Evenements - Le Dernier Phare
+// Definitions lues par l'EventSystem (js/systems/EventSystem.js)
+// Chaque identifiant reference dans ISLAND_MAP.events doit figurer ici.
+//
+//   id: {
+//       act:        { min, max },   // fenetre d'actes (optionnelle)
+//       conditions: { ... },        // preconditions (cf. narrative/Conditions.js)
+//       weight:     1,              // poids si plusieurs evenements sont eligibles
+//       repeatable: false,          // par defaut, un evenement ne joue qu'une fois
+//       effects:    { ... },        // appliques au declenchement
+//       dialogue:   "id"            // dialogue de suite (data/dialogues.js)
+//   }
+//
+// Les evenements "hallucination: true" ne sont references par aucune tuile :
+// l'EventSystem peut les jouer sur n'importe quelle tuile (ou sur les types
+// listes dans tileTypes) quand leurs conditions de sante mentale sont remplies.
+//
+// Les evenements "night: true" sont tires au phare apres la veille de nuit.
+// Avec tileTypes, ils se montrent sur une case de ce type a la portee du
+// faisceau, et ne peuvent pas survenir s'il n'en atteint aucune.
+// Leurs conditions portent souvent sur la derniere nuit (lighthouse.last)
+// et les ameliorations du phare (upgrades, cf. data/lighthouse.js).
+// ============================================================
+
+export const EVENTS = {
+
+    // === Le Phare ===
+    act1_start: {
+        act: { min: 1, max: 2 },
+        conditions: { flags: { first_move_done: true } },
+        dialogue: "retour_au_phare"
+    },
+
+    // === Anneau 1 ===
+    find_sailor: {
+        act: { min: 1 },
+        conditions: { flags: { marin_found: false } },
+        effects: { meetNpc: "marin" },
+        dialogue: "marin_rencontre"
+    },
+    cliff_vision: {
+        dialogue: "cliff_vision"
+    },
+
+    // === Anneau 2 ===
+    whispers_event: {
+        dialogue: "bois_des_murmures"
+    },
+    lamentations: {
+        effects: { sanity: -3 },
+        dialogue: "pointe_des_lamentations"
+    },
+    observatory_symbols: {
+        dialogue: "symboles_observatoire"
+    },
+    abandoned_village: {
+        dialogue: "village_abandonne"
+    },
+    explore_shipwreck: {
+        dialogue: "morrigane_epave"
+    },
+    tidal_cave: {
+        dialogue: "grotte_des_marees"
+    },
+
+    // === Anneau 3 ===
+    idols_discovery: {
+        effects: { sanity: -5 },
+        dialogue: "clairiere_des_idoles"
+    },
+    temple_discovery: {
+        effects: { sanity: -10 },
+        dialogue: "temple_englouti"
+    },
+    cemetery_visit: {
+        dialogue: "cimetiere_marin"
+    },
+    altar_discovery: {
+        act: { min: 3 },
+        dialogue: "autel_des_profondeurs"
+    },
+    mannequins_event: {
+        effects: { sanity: -4 },
+        dialogue: "anse_des_naufrages"
+    },
+    teeth_pattern: {
+        dialogue: "dents_de_la_mer"
+    },
+    singing_cave: {
+        effects: { sanity: -6 },
+        dialogue: "grotte_du_chant"
+    },
+
+    // === Hallucinations ===
+    halluc_marin_noye: {
+        hallucination: true,
+        conditions: { sanity: { max: 35 } },
+        tileTypes: ["shore", "reef"],
+        dialogue: "halluc_marin_noye"
+    },
+    halluc_appel_du_phare: {
+        hallucination: true,
+        conditions: { sanity: { max: 30 } },
+        dialogue: "halluc_appel_du_phare"
+    },
+    halluc_chant_de_l_enfant: {
+        hallucination: true,
+        conditions: { sanity: { max: 25 } },
+        tileTypes: ["shore", "cave"],
+        dialogue: "halluc_chant_de_l_enfant"
+    },
+
+    // === Nuits au phare ===
+    nuit_naufrage: {
+        night: true,
+        act: { min: 2 },
+        conditions: {
+            lighthouse: { last: false },
+            upgrades: { corne_de_brume: false }
+        },
+        dialogue: "nuit_naufrage"
+    },
+    nuit_visiteur: {
+        night: true,
+        act: { min: 2 },
+        repeatable: true,
+        conditions: { upgrades: { porte_renforcee: false } },
+        dialogue: "nuit_visiteur"
+    },
+    nuit_reponse_du_large: {
+        night: true,
+        weight: 2,
+        conditions: {
+            lighthouse: { last: true },
+            upgrades: { lentille_fresnel: true }
+        },
+        dialogue: "nuit_reponse_du_large"
+    },
+    nuit_navire_apercu: {
+        night: true,
+        weight: 3,
+        conditions: { lighthouse: { level: "signal" } },
+        tileTypes: ["deep_water", "reef"],
+        dialogue: "nuit_navire_apercu"
+    },
+    nuit_attires_par_la_lumiere: {
+        night: true,
+        weight: 2,
+        act: { min: 2 },
+        repeatable: true,
+        conditions: { lighthouse: { level: "full" } },
+        tileTypes: ["shore", "reef"],
+        dialogue: "nuit_attires_par_la_lumiere"
+    },
+    nuit_vigie: {
+        night: true,
+        conditions: {
+            lighthouse: { last: true },
+            upgrades: { galerie_reparee: true }
+        },
+        tileTypes: ["deep_water", "reef", "shore"],
+        dialogue: "nuit_vigie"
+    }
+};
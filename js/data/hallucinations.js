@@ -0,0 +1,42 @@
+// ============================================================
+// HALLUCINATIONS - Le Dernier Phare
+// Contenu invente par un esprit qui sombre (voir SanitySystem).
+// ============================================================
+
+// Types de terrain qu'un esprit trouble croit deviner dans la brume.
+export const FALSE_TERRAIN_TYPES = ["shrine", "cave", "ruins", "shipwreck", "village", "lighthouse"];
+
+// Notes de journal que le joueur n'a jamais ecrites. Chacune l'attire
+// vers une tuile (target) : y aller compte comme "avoir suivi" la note.
+export const HALLUCINATED_JOURNAL = [
+    {
+        id: "halluc_huile_grotte",
+        text: "Le Marin m'a dit avoir caché deux barils d'huile au fond de la Grotte des Marées. Il faudra y retourner.",
+        target: { q: -2, r: 0 }
+    },
+    {
+        id: "halluc_lumiere_abime",
+        text: "Une lumière clignotait au-dessus de l'Abîme cette nuit. Trois éclats, puis rien. Un navire ? Il faut aller voir depuis la Falaise Nord.",
+        target: { q: 0, r: -1 }
+    },
+    {
+        id: "halluc_enfant_bois",
+        text: "J'ai vu l'Enfant entrer dans le Bois Profond. Elle m'a fait signe de la suivre.",
+        target: { q: 2, r: -1 }
+    },
+    {
+        id: "halluc_cloche_village",
+        text: "La cloche du village a sonné à midi. Quelqu'un vit encore là-bas, j'en suis sûr.",
+        target: { q: -2, r: 2 }
+    },
+    {
+        id: "halluc_carnet_epave",
+        text: "Élise a oublié son carnet dans l'épave. Les dernières pages parlent de moi.",
+        target: { q: 1, r: 1 }
+    },
+    {
+        id: "halluc_porte_cimetiere",
+        text: "Il y a une porte au Cimetière Marin. Elle n'y était pas hier. Elle est ouverte.",
+        target: { q: -3, r: 2 }
+    }
+];
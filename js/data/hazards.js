@@ -0,0 +1,55 @@
+// ============================================================
+// DANGERS - Le Dernier Phare
+// Lus par le HazardSystem (js/systems/HazardSystem.js).
+// Un danger s'applique a tous les types de tuiles listes dans `types`,
+// ou a une tuile precise via la cle `hazard` de island-map.js (qui
+// remplace alors celui de son type ; `hazard: false` n'en met aucun).
+//
+//   id: {
+//       types,                        // types de tuiles concernes (optionnel)
+//       label,                        // infobulle, une fois la tuile devoilee
+//       chance,                       // probabilite a l'entree (1 par defaut)
+//       conditions,                   // format de narrative/Conditions.js
+//       onEnter: { health, sanity, text },  // en entrant sur la tuile
+//       atNight: { health, sanity, text }   // si la nuit tombe sur la tuile
+//   }
+// ============================================================
+
+export const HAZARDS = {
+
+    recifs: {
+        types: ["reef"],
+        label: "Rochers tranchants : risque de blessure",
+        chance: 0.4,
+        onEnter: {
+            health: -10,
+            text: "Votre pied glisse sur la roche. Le corail vous ouvre la jambe."
+        }
+    },
+
+    recifs_du_diable: {
+        label: "Rochers tranchants : blessure certaine",
+        onEnter: {
+            health: -20,
+            text: "Une vague vous jette contre les dents noires du récif."
+        }
+    },
+
+    sanctuaire: {
+        types: ["shrine"],
+        label: "Lieu impie : la santé mentale s'y effrite",
+        onEnter: {
+            sanity: -8,
+            text: "Les pierres sont tièdes. Quelque chose, dessous, vous a remarqué."
+        }
+    },
+
+    grotte: {
+        types: ["cave"],
+        label: "Grotte : mortelle si la nuit vous y surprend",
+        atNight: {
+            health: -100,
+            text: "La mer remplit la grotte dans le noir. Personne n'entend vos cris."
+        }
+    }
+};
@@ -2,6 +2,18 @@
 // Carte de l'ile - Le Dernier Phare
 // Grille hexagonale en coordonnees axiales (q, r)
 // Pointy-top orientation
+//
+// Tuiles bloquees : `obstacle` decrit comment les degager depuis une
+// tuile adjacente (ObstacleSystem). Chaque option peut exiger :
+//   item: objet possede (consumeItem: true pour le perdre),
+//   supplies: materiaux consommes, moves: deplacements depenses,
+//   npc: PNJ abrite au phare ou present aux cotes du joueur.
+//
+// Marees (TideSystem) : `tide: "high"` noie la tuile a maree haute,
+// `tide: "low"` ne la rend praticable qu'a maree basse.
+//
+// Dangers (HazardSystem) : `hazard: "id"` (js/data/hazards.js) remplace
+// le danger propre au type de la tuile.
 // ============================================================
 
 export const ISLAND_MAP = [
@@ -60,7 +72,7 @@ export const ISLAND_MAP = [
         description: "Un a-pic vertigineux plonge dans les vagues noires. Par temps clair, on verrait la cote... mais le temps n'est jamais clair ici.",
         explorable: true,
         events: ["cliff_vision"],
-        loot: null
+        loot: { type: "item", item: "fragment_carte_nord", description: "Un lambeau de carte coince dans une fissure" }
     },
     {
         q: 1, r: -1,
@@ -104,6 +116,8 @@ export const ISLAND_MAP = [
         q: 1, r: -2,
         type: "reef",
         name: "Recifs du Diable",
+        tide: "high",
+        hazard: "recifs_du_diable",
         description: "Des rochers noirs percent la surface comme des dents. Combien de navires se sont brises ici ?",
         explorable: true,
         events: [],
@@ -125,7 +139,7 @@ export const ISLAND_MAP = [
         description: "Un plateau rocheux offre une vue sur toute l'ile. Quelqu'un a grave des symboles dans la pierre.",
         explorable: true,
         events: ["observatory_symbols"],
-        loot: null
+        loot: { type: "item", item: "carnet_de_mesures", description: "Un carnet abandonne sous une pierre" }
     },
     {
         q: -2, r: 1,
@@ -152,7 +166,7 @@ export const ISLAND_MAP = [
         description: "Un chemin pave mene au village. Les pierres sont anciennes, bien plus que les maisons.",
         explorable: true,
         events: [],
-        loot: null
+        loot: { type: "item", item: "pied_de_biche", description: "Un outil oublie contre une borne" }
     },
     {
         q: 0, r: 2,
@@ -181,7 +195,7 @@ export const ISLAND_MAP = [
         description: "Au centre de la clairiere, trois pierres dressees forment un triangle. L'herbe ne pousse pas entre elles.",
         explorable: true,
         events: ["idols_discovery"],
-        loot: null
+        loot: { type: "item", item: "idole_de_jade", description: "Une statuette au pied des pierres dressees" }
     },
     {
         q: 3, r: -2,
@@ -192,7 +206,15 @@ export const ISLAND_MAP = [
         events: ["temple_discovery"],
         loot: null,
         blocked: true,
-        blockReason: "Un eboulement bloque le passage. Il faudrait des outils ou de l'aide."
+        blockReason: "Un eboulement bloque le passage. Il faudrait des outils ou de l'aide.",
+        obstacle: {
+            action: "Deblayer l'eboulement",
+            options: [
+                { item: "pied_de_biche", supplies: 1, moves: 2 },
+                { npc: "capitaine", moves: 2 }
+            ],
+            clearedText: "Les pierres roulent dans la boue. Entre les colonnes, un escalier descend."
+        }
     },
     {
         q: 3, r: -3,
@@ -220,8 +242,7 @@ export const ISLAND_MAP = [
         explorable: true,
         events: ["tidal_cave"],
         loot: { type: "food", amount: 2, description: "Reserves cachees" },
-        blocked: true,
-        blockReason: "La maree est haute. Revenez plus tard."
+        tide: "low"
     },
     {
         q: -3, r: 2,
@@ -230,7 +251,7 @@ export const ISLAND_MAP = [
         description: "Des croix de bois tordues marquent des tombes sans nom. Certaines semblent recentes. D'autres sont impossiblement anciennes.",
         explorable: true,
         events: ["cemetery_visit"],
-        loot: null
+        loot: { type: "item", item: "cle_rouillee", description: "Une cle serree dans une main de pierre" }
     },
     {
         q: -3, r: 3,
@@ -241,7 +262,14 @@ export const ISLAND_MAP = [
         events: ["altar_discovery"],
         loot: null,
         blocked: true,
-        blockReason: "Une terreur irrationnelle vous empeche d'approcher."
+        blockReason: "Une terreur irrationnelle vous empeche d'approcher.",
+        obstacle: {
+            action: "Approcher de l'autel",
+            options: [
+                { npc: "pretre", moves: 1 }
+            ],
+            clearedText: "Le pretre murmure une priere que vous ne comprenez pas. La terreur recule d'un pas."
+        }
     },
     {
         q: -2, r: 3,
@@ -274,6 +302,7 @@ export const ISLAND_MAP = [
         q: 1, r: 2,
         type: "shore",
         name: "Pointe Sud-Est",
+        tide: "high",
         description: "L'extremite de l'ile. Le courant est violent ici. Des algues d'un vert maladif s'accrochent aux rochers.",
         explorable: true,
         events: [],
@@ -283,10 +312,33 @@ export const ISLAND_MAP = [
         q: 2, r: 1,
         type: "reef",
         name: "Dents de la Mer",
+        tide: "high",
         description: "Des formations rocheuses acérees percent les vagues. Elles forment presque un motif... un cercle ?",
         explorable: true,
         events: ["teeth_pattern"],
-        loot: null
+        loot: { type: "item", item: "fragment_carte_sud", description: "Un morceau de carte pris dans les algues" }
+    },
+
+    // === Bancs de sable (praticables a maree basse) ===
+    {
+        q: 3, r: 0,
+        type: "sandbar",
+        name: "Banc des Dents",
+        tide: "low",
+        description: "Une langue de sable gris relie les recifs a la clairiere. Elle ne tient que le temps d'une maree basse.",
+        explorable: true,
+        events: [],
+        loot: { type: "food", amount: 1, description: "Coquillages" }
+    },
+    {
+        q: -2, r: -1,
+        type: "sandbar",
+        name: "Gue de la Grotte",
+        tide: "low",
+        description: "Sous la falaise, le sable mouille decouvre un passage vers la Grotte des Marees. L'eau reviendra vite.",
+        explorable: true,
+        events: [],
+        loot: { type: "supplies", amount: 1, description: "Planches echouees" }
     },
 
     // === Locations speciales (deblocages narratifs) ===
@@ -299,7 +351,15 @@ export const ISLAND_MAP = [
         events: ["singing_cave"],
         loot: null,
         blocked: true,
-        blockReason: "L'entree est obstruee. Il faudrait un outil pour degager les pierres."
+        blockReason: "L'entree est obstruee. Il faudrait un outil pour degager les pierres.",
+        obstacle: {
+            action: "Degager l'entree",
+            options: [
+                { item: "pied_de_biche", moves: 1 },
+                { supplies: 2, npc: "marin", moves: 2 }
+            ],
+            clearedText: "Les pierres cedent. Un souffle humide monte de la grotte, et avec lui, un chant."
+        }
     },
     {
         q: 1, r: -3,
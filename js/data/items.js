@@ -0,0 +1,148 @@
+// ============================================================
+// OBJETS - Le Dernier Phare
+// Definitions lues par l'InventorySystem (js/systems/InventorySystem.js).
+// Les objets se trouvent sur les tuiles (loot de type "item").
+//
+//   id: {
+//       name, category, description,
+//       light: true,                                             // eclaire les tuiles sombres (grottes)
+//       use:  { tile: { q, r }, conditions, effects, consume },  // "Utiliser" (optionnel)
+//       give: { <pnj>: { effects } }                             // PNJs qui acceptent l'objet
+//   }
+//
+// Les effets suivent le format des choix de dialogue (cf. data/dialogues.js).
+// ============================================================
+
+export const ITEM_CATEGORIES = {
+    tool:     "Outil",
+    key:      "Clé",
+    document: "Document",
+    relic:    "Relique"
+};
+
+export const ITEMS = {
+
+    // === Outils ===
+    pied_de_biche: {
+        name: "Pied-de-biche",
+        category: "tool",
+        description: "Lourd, piqué de rouille. Assez solide pour déplacer des pierres."
+    },
+    lanterne: {
+        name: "Lanterne sourde",
+        category: "tool",
+        description: "Fabriquée à l'atelier du phare. Sa lumière permet de fouiller les grottes.",
+        light: true
+    },
+
+    // === Clés ===
+    cle_rouillee: {
+        name: "Clé rouillée",
+        category: "key",
+        description: "Une grosse clé de fer, arrachée à une main de pierre du cimetière. Elle porte le symbole du village.",
+        use: {
+            tile: { q: -2, r: 2 },
+            effects: {
+                flags: { chapel_opened: true },
+                resources: { supplies: 2 },
+                journal: { id: "chapelle", text: "La clé du cimetière ouvrait la chapelle du village. À l'intérieur, des bancs tournés vers la mer, et des cordages neufs." },
+                notify: { text: "La chapelle s'ouvre en grinçant. (+2 matériaux)", type: "loot" }
+            },
+            consume: true
+        },
+        give: {
+            pretre: {
+                effects: {
+                    trust: { pretre: 1 },
+                    revealSecret: { npc: "pretre", secret: "village" },
+                    notify: { text: "Le prêtre serre la clé contre lui. « Je croyais l'avoir enterrée avec eux. »", type: "event" }
+                }
+            }
+        }
+    },
+
+    // === Documents ===
+    carnet_de_mesures: {
+        name: "Carnet de mesures",
+        category: "document",
+        description: "Des colonnes de chiffres, des profondeurs, des dates. Le nom d'Élise est écrit sur la couverture.",
+        use: {
+            conditions: { flags: { read_elise_notes: false } },
+            effects: {
+                flags: { read_elise_notes: true },
+                journal: { id: "carnet_elise", text: "Le carnet d'Élise : des sondages autour de l'île, jour après jour. Le fond remonte. Quelque chose remonte." },
+                sanity: -2
+            }
+        },
+        give: {
+            elise: {
+                effects: {
+                    trust: { elise: 2 },
+                    revealSecret: { npc: "elise", secret: "mesures" },
+                    notify: { text: "Élise reprend son carnet sans un mot, puis finit par avouer pour qui elle mesurait.", type: "event" }
+                }
+            }
+        }
+    },
+    fragment_carte_nord: {
+        name: "Fragment de carte (nord)",
+        category: "document",
+        description: "La moitié d'une carte marine détrempée. Des courants y sont tracés à l'encre rouge."
+    },
+    fragment_carte_sud: {
+        name: "Fragment de carte (sud)",
+        category: "document",
+        description: "Un morceau de carte déchirée. Les côtes de l'île, et des flèches qui pointent vers le large."
+    },
+    carte_des_courants: {
+        name: "Carte des courants",
+        category: "document",
+        description: "Les deux fragments assemblés : les courants autour de l'île dessinent une spirale qui ramène tout vers la côte.",
+        use: {
+            conditions: { flags: { currents_charted: false } },
+            effects: {
+                flags: { currents_charted: true },
+                journal: { id: "carte_courants", text: "Sur la carte reconstituée, les courants tournent autour de l'île. Rien ne peut en partir. Tout finit par y revenir." }
+            }
+        }
+    },
+
+    // === Reliques ===
+    idole_de_jade: {
+        name: "Idole noire",
+        category: "relic",
+        description: "Une statuette de pierre verte et noire, tiède au toucher. Elle ne représente rien de connu.",
+        use: {
+            conditions: { flags: { idol_held: false } },
+            effects: {
+                sanity: -3,
+                flags: { idol_held: true },
+                notify: { text: "Vous serrez l'idole. Elle bat, faiblement. Santé mentale −3", type: "danger" }
+            }
+        },
+        give: {
+            pretre: {
+                effects: {
+                    trust: { pretre: -1 },
+                    revealSecret: { npc: "pretre", secret: "culte" },
+                    notify: { text: "Le prêtre pâlit. Il connaît cette idole — il l'a déjà priée.", type: "danger" }
+                }
+            },
+            nadia: {
+                effects: {
+                    trust: { nadia: 1 },
+                    notify: { text: "Nadia fait disparaître l'idole dans les plis de sa robe. « Mieux vaut qu'elle soit avec moi. »", type: "event" }
+                }
+            }
+        }
+    }
+};
+
+// Combinaisons : deux objets assembles en un troisieme.
+export const COMBINATIONS = [
+    {
+        items: ["fragment_carte_nord", "fragment_carte_sud"],
+        result: "carte_des_courants",
+        text: "Les bords déchirés s'ajustent parfaitement : la carte est complète."
+    }
+];
@@ -0,0 +1,145 @@
+// ============================================================
+// AMELIORATIONS DU PHARE - Le Dernier Phare
+// Lues par le LighthouseSystem (js/systems/LighthouseSystem.js).
+// Construites de jour, au phare ; conservees dans state.lighthouse.upgrades.
+//
+//   id: {
+//       name, description,
+//       cost: { supplies, oil, food },   // ressources consommees
+//       moves,                           // deplacements depenses
+//       requires: ["<amelioration>"],    // ameliorations prealables
+//       excludes: ["<amelioration>"],    // ameliorations incompatibles (l'une ou l'autre)
+//       conditions,                      // format de narrative/Conditions.js
+//       modifiers: { ... },              // sommes par le ResourceManager
+//       text                             // notification une fois construite
+//   }
+//
+// Modificateurs :
+//   oilCost:      huile consommee par nuit allumee (min. 1)
+//   darkPenalty:  penalite de sante mentale d'une nuit sans lumiere
+//   beamRadius:   portee du faisceau dans le brouillard, la nuit
+//   foodPerNight: nourriture rapportee chaque nuit
+//
+// Les evenements de nuit (data/events.js, night: true) testent les
+// ameliorations construites avec la condition `upgrades`, et l'intensite
+// de la derniere nuit avec `lighthouse: { level }`.
+// ============================================================
+
+export const LIGHTHOUSE_UPGRADES = {
+
+    galerie_reparee: {
+        name: "Galerie réparée",
+        description: "Remplacer les planches pourries de la galerie. De là-haut, on voit plus loin dans la nuit.",
+        cost: { supplies: 2 },
+        moves: 1,
+        modifiers: { beamRadius: 1 },
+        text: "La galerie tient de nouveau. Le vent y siffle moins fort."
+    },
+
+    lentille_fresnel: {
+        name: "Lentille de Fresnel",
+        description: "Remonter les anneaux de verre de la lentille. Le faisceau porte plus loin et brûle moins d'huile.",
+        cost: { supplies: 3, oil: 1 },
+        moves: 2,
+        requires: ["galerie_reparee"],
+        excludes: ["reflecteur"],
+        conditions: { act: { min: 2 } },
+        modifiers: { oilCost: -1, beamRadius: 1 },
+        text: "Les prismes s'emboîtent. La flamme la plus faible devient un phare."
+    },
+
+    corne_de_brume: {
+        name: "Corne de brume",
+        description: "Remettre en état la corne rouillée de la galerie. Même phare éteint, les navires sauront que la côte est là.",
+        cost: { supplies: 2 },
+        moves: 1,
+        requires: ["galerie_reparee"],
+        modifiers: { darkPenalty: -3 },
+        text: "La corne mugit une fois, longuement. Quelque chose, au large, se tait."
+    },
+
+    porte_renforcee: {
+        name: "Porte renforcée",
+        description: "Doubler la porte de la tour de planches et de fer. Ce qui rôde la nuit restera dehors.",
+        cost: { supplies: 3 },
+        moves: 1,
+        modifiers: { darkPenalty: -5 },
+        text: "La porte est barrée de fer. Pour la première fois, vous dormez un peu."
+    },
+
+    pieges: {
+        name: "Nasses et collets",
+        description: "Des pièges tressés comme le marin vous l'a montré. Ils rapportent un peu de nourriture chaque nuit.",
+        cost: { supplies: 2 },
+        moves: 1,
+        conditions: {
+            flags: { marin_found: true }
+        },
+        modifiers: { foodPerNight: 1 },
+        text: "Vous posez les nasses au pied des rochers. Reste à espérer que la mer donne encore."
+    },
+
+    reflecteur: {
+        name: "Réflecteur de cuivre",
+        description: "Des plaques de cuivre de l'épave, polies et montées derrière la lampe. Moins d'huile pour la même flamme, sans attendre la lentille.",
+        cost: { supplies: 3, oil: 1 },
+        moves: 2,
+        excludes: ["lentille_fresnel"],
+        conditions: {
+            act: { min: 2 },
+            flags: { shipwreck_explored: true }
+        },
+        modifiers: { oilCost: -1 },
+        text: "Le réflecteur renvoie la lumière vers le large. Le phare boira moins d'huile."
+    }
+};
+
+// Intensites proposees au crepuscule (dans l'ordre d'affichage).
+// L'historique state.lighthouseLit enregistre l'identifiant de l'intensite
+// choisie, ou false pour une nuit sans lumiere.
+//
+//   id: {
+//       name, choice,    // libelle court, texte du choix au crepuscule
+//       oilFactor,       // multiplie le cout d'huile de la nuit (arrondi superieur)
+//       sanity,          // effet sur la sante mentale (negatif = penalite)
+//       beamRadius,      // bonus/malus de portee du faisceau
+//       text             // notification a l'allumage
+//   }
+export const LIGHTHOUSE_INTENSITIES = {
+
+    dim: {
+        name: "Veilleuse",
+        choice: "Mettre la lampe en veilleuse",
+        oilFactor: 0.5,
+        sanity: -4,
+        beamRadius: -1,
+        text: "Une lueur chiche tremble au sommet de la tour. Les ombres restent proches."
+    },
+
+    normal: {
+        name: "Feu normal",
+        choice: "Allumer le phare",
+        oilFactor: 1,
+        sanity: 0,
+        beamRadius: 0,
+        text: "Le phare éclaire la nuit."
+    },
+
+    full: {
+        name: "Plein feu",
+        choice: "Pousser la flamme au maximum",
+        oilFactor: 1.5,
+        sanity: 3,
+        beamRadius: 1,
+        text: "Le faisceau fend la brume jusqu'à l'horizon. Tout ce qui regarde la mer le voit."
+    },
+
+    signal: {
+        name: "Signal",
+        choice: "Émettre un signal (éclats codés)",
+        oilFactor: 1.25,
+        sanity: -1,
+        beamRadius: 0,
+        text: "Vous masquez la lampe à intervalles réguliers. Trois éclats, une pause. Toute la nuit."
+    }
+};
@@ -0,0 +1,90 @@
+// ============================================================
+// PNJs - Le Dernier Phare
+// Identite et secrets des six survivants.
+// Les positions et actes d'apparition sont dans island-map.js (NPC_SPAWN_LOCATIONS).
+//
+// schedule : objectif de chaque PNJ a chaque changement de phase
+//   (dawn, day, dusk, night), execute par NPCManager.advanceSchedules.
+//   default : emploi du temps de base ; 1..5 : surcharges par acte ;
+//   unmet   : emploi du temps tant que le joueur ne l'a pas rencontre.
+//   Objectifs : "stay", "home" (tuile d'apparition), "lighthouse",
+//               { q, r } (tuile precise), { wander: "<type de tuile>" }.
+// Un PNJ abrite au phare y rentre toujours pour la nuit.
+// ============================================================
+
+export const NPC_DEFINITIONS = {
+    marin: {
+        name: "Le Marin",
+        description: "Un matelot rescapé, grelottant, qui refuse de dire d'où venait son navire.",
+        secrets: {
+            langue_inconnue: "Il parle dans son sommeil une langue qui n'existe pas.",
+            morrigane: "Il faisait partie de l'équipage du Morrigane."
+        },
+        schedule: {
+            unmet:   {},
+            default: { day: { wander: "shore" }, dusk: "lighthouse" },
+            3:       { day: { q: 1, r: 1 } }
+        }
+    },
+    enfant: {
+        name: "L'Enfant",
+        description: "Une fillette muette aux pieds nus. Personne ne sait comment elle est arrivée sur l'île.",
+        secrets: {
+            chant: "Elle connaît l'air que chante la grotte.",
+            pas_de_bateau: "Aucun navire ne l'a amenée ici."
+        },
+        schedule: {
+            unmet:   { dawn: { wander: "shore" }, day: { wander: "shore" }, dusk: { wander: "shore" } },
+            default: { day: { wander: "shore" }, dusk: "lighthouse" },
+            4:       { dusk: { q: -3, r: 1 } }
+        }
+    },
+    elise: {
+        name: "Élise, la Scientifique",
+        description: "Une océanographe méthodique, carnets serrés contre elle, qui mesure tout ce qu'elle voit.",
+        secrets: {
+            mesures: "Elle sondait les fonds autour de l'île pour le compte d'un commanditaire.",
+            echantillon: "Elle a remonté quelque chose des profondeurs avant le naufrage."
+        },
+        schedule: {
+            unmet:   { day: "home" },
+            default: { dawn: { q: -1, r: -1 }, day: { wander: "reef" }, dusk: "lighthouse" }
+        }
+    },
+    pretre: {
+        name: "Le Prêtre",
+        description: "Un homme d'Église en soutane déchirée, qui prie à voix basse face à la mer.",
+        secrets: {
+            culte: "Il a servi à l'Autel des Profondeurs avant de trouver la foi.",
+            village: "Il était là quand le village a été abandonné."
+        },
+        schedule: {
+            unmet:   { dusk: { q: -3, r: 3 }, night: "home" },
+            default: { day: "home", dusk: { q: -3, r: 3 } }
+        }
+    },
+    nadia: {
+        name: "Nadia",
+        description: "Une femme au regard fixe qui semble toujours se tenir là où la lumière n'arrive pas.",
+        secrets: {
+            ombre: "Elle ne projette aucune ombre.",
+            gardienne: "Elle a été gardienne de ce phare, il y a longtemps."
+        },
+        schedule: {
+            unmet:   { dusk: { wander: "cliff" }, night: "home" },
+            default: { day: "home", dusk: { wander: "cliff" } }
+        }
+    },
+    capitaine: {
+        name: "La Capitaine",
+        description: "La capitaine du Morrigane, raide et fiévreuse, qui cherche son équipage.",
+        secrets: {
+            abandon: "Elle a abandonné son équipage dans la cale.",
+            cap: "Elle a délibérément mis le cap sur l'île."
+        },
+        schedule: {
+            unmet:   { day: { q: 1, r: 1 }, dusk: "home" },
+            default: { day: { q: 1, r: 1 }, dusk: "lighthouse" }
+        }
+    }
+};
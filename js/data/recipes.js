@@ -0,0 +1,41 @@
+// ============================================================
+// RECETTES DE L'ATELIER - Le Dernier Phare
+// Lues par le CraftingSystem (js/systems/CraftingSystem.js).
+// L'atelier n'est accessible que de jour, sur la tuile du phare.
+//
+//   id: {
+//       name, description,
+//       cost: { supplies, oil, food },   // ressources consommees
+//       moves,                           // deplacements depenses
+//       conditions,                      // format de narrative/Conditions.js
+//       item: "<objet>",                 // objet fabrique (js/data/items.js)
+//       text                             // notification une fois fabrique
+//   }
+//
+// Les ameliorations permanentes se construisent au phare (js/data/lighthouse.js).
+// ============================================================
+
+export const RECIPES = {
+
+    lanterne: {
+        name: "Lanterne sourde",
+        description: "Une lanterne à volet, pour fouiller les grottes sans s'y perdre.",
+        cost: { supplies: 1, oil: 1 },
+        moves: 1,
+        item: "lanterne",
+        text: "Vous fixez une mèche neuve dans une vieille lanterne. La flamme tient."
+    },
+
+    pied_de_biche: {
+        name: "Pied-de-biche",
+        description: "Une membrure de fer arrachée à l'épave, aplatie et recourbée à l'enclume. De quoi déplacer des pierres.",
+        cost: { supplies: 2 },
+        moves: 2,
+        conditions: {
+            act: { min: 2 },
+            flags: { shipwreck_explored: true }
+        },
+        item: "pied_de_biche",
+        text: "Le fer plie enfin sous le marteau. L'outil est grossier, mais il tiendra."
+    }
+};
@@ -0,0 +1,46 @@
+// ============================================================
+// MAREES - Le Dernier Phare
+// Lues par le TideSystem (js/systems/TideSystem.js).
+// La maree avance d'un cran a chaque phase (aube, jour, crepuscule,
+// nuit) en suivant TIDE_CYCLE, qui recommence indefiniment.
+//
+//   id: {
+//       name,
+//       level: "low" | "mid" | "high",   // hauteur de l'eau
+//       forecast                          // phrase du panneau des marees
+//   }
+//
+// Tuiles concernees (island-map.js, cle `tide`) :
+//   tide: "high"  -> noyee a maree haute (recifs, greves basses)
+//   tide: "low"   -> praticable seulement a maree basse (bancs de sable, grotte)
+// ============================================================
+
+export const TIDES = {
+
+    basse: {
+        name: "Marée basse",
+        level: "low",
+        forecast: "Les bancs de sable affleurent."
+    },
+
+    montante: {
+        name: "Marée montante",
+        level: "mid",
+        forecast: "L'eau revient, les bancs disparaissent."
+    },
+
+    haute: {
+        name: "Marée haute",
+        level: "high",
+        forecast: "Les récifs sont sous l'eau."
+    },
+
+    descendante: {
+        name: "Marée descendante",
+        level: "mid",
+        forecast: "La mer se retire lentement."
+    }
+};
+
+// Une maree complete dure six phases : un jour et demi.
+export const TIDE_CYCLE = ["basse", "montante", "haute", "haute", "descendante", "basse"];
@@ -0,0 +1,62 @@
+// ============================================================
+// METEO - Le Dernier Phare
+// Lue par le WeatherSystem (js/systems/WeatherSystem.js).
+// Un temps est tire a chaque aube parmi ceux dont les conditions
+// sont remplies, au prorata de leur poids.
+//
+//   id: {
+//       name,
+//       weight,                          // poids du tirage
+//       conditions,                      // format de narrative/Conditions.js
+//       moves,                           // deplacements en plus ou en moins ce jour
+//       sight,                           // portee de vue en plus ou en moins (min. 1 hors grottes)
+//       closed: { <type>: "raison" },    // types de tuiles infranchissables ce jour
+//       loot:   { <type>: n },           // ressources en plus au butin de ce type de tuile
+//       dawnText                         // annonce dans la transition de l'aube
+//   }
+// ============================================================
+
+export const WEATHER = {
+
+    calme: {
+        name: "Temps calme",
+        weight: 4,
+        moves: 0,
+        sight: 0,
+        dawnText: "La mer est d'huile. Rien ne bouge, pas même les oiseaux."
+    },
+
+    brouillard_epais: {
+        name: "Brouillard épais",
+        weight: 3,
+        moves: -1,
+        sight: -1,
+        dawnText: "Un brouillard épais colle à la peau. On n'y voit pas à trois pas."
+    },
+
+    tempete: {
+        name: "Tempête",
+        weight: 2,
+        conditions: { act: { min: 2 } },
+        moves: -2,
+        sight: 0,
+        closed: {
+            reef: "Les lames balaient les récifs. Y poser le pied serait mourir."
+        },
+        loot: { shore: 1 },
+        dawnText: "La tempête hurle sur l'île. La mer rejette des débris sur les grèves."
+    },
+
+    grande_maree: {
+        name: "Grande marée",
+        weight: 2,
+        conditions: { act: { min: 2 } },
+        moves: 0,
+        sight: 0,
+        closed: {
+            shore: "La grande marée a noyé la grève. L'eau monte encore."
+        },
+        loot: { reef: 1 },
+        dawnText: "Grande marée. La mer a englouti les plages et découvert les récifs."
+    }
+};
@@ -93,6 +93,11 @@ export class InputHandler {
     if (e.key === 'Escape') {
       document.dispatchEvent(new CustomEvent('game:toggleMenu'));
     }
+    // Ctrl+Z / Cmd+Z : annuler le dernier déplacement
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+      e.preventDefault();
+      document.dispatchEvent(new CustomEvent('game:undo'));
+    }
   }
 
   /**
@@ -0,0 +1,137 @@
+/**
+ * Random.js — Le Dernier Phare
+ *
+ * Générateur pseudo-aléatoire déterministe (mulberry32) partagé par tous
+ * les systèmes. La graine et l'état courant vivent dans state.rng : ils
+ * sont sauvegardés avec la partie, et une même graine suivie des mêmes
+ * choix rejoue une partie à l'identique (rapports de bugs, parties
+ * automatisées). Aucun système ne doit appeler Math.random directement.
+ */
+
+export class Random {
+  /**
+   * @param {import('./StateManager.js').StateManager} stateManager
+   */
+  constructor(stateManager) {
+    /** @type {import('./StateManager.js').StateManager} */
+    this._stateManager = stateManager;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Graine
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Convertit une graine (nombre ou texte, ex. "?seed=brume") en entier 32 bits.
+   * @param {number|string} value
+   * @returns {number}
+   */
+  static toSeed(value) {
+    const n = Number(value);
+    if (value !== '' && Number.isFinite(n)) return n >>> 0;
+
+    // Texte : hachage FNV-1a
+    let h = 2166136261;
+    for (const char of String(value)) {
+      h ^= char.charCodeAt(0);
+      h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+  }
+
+  /**
+   * Tire une graine neuve pour une nouvelle partie (seul usage de Math.random).
+   * @returns {number}
+   */
+  static newSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+
+  /**
+   * Fixe la graine de la partie et réinitialise la séquence.
+   * @param {number|string} value
+   */
+  seed(value) {
+    const seed = Random.toSeed(value);
+    this._stateManager.dispatch({ type: 'SET_RNG', payload: { seed, state: seed } });
+  }
+
+  /** Graine de la partie en cours. */
+  getSeed() {
+    return this._ensureSeeded().seed;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tirages
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Nombre dans [0, 1) — fait avancer la séquence sauvegardée.
+   * @returns {number}
+   */
+  next() {
+    const rng   = this._ensureSeeded();
+    const state = (rng.state + 0x6D2B79F5) >>> 0;
+    this._stateManager.setRngState(state);
+
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Vrai avec la probabilité donnée.
+   * @param {number} probability — Entre 0 et 1
+   * @returns {boolean}
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Entier dans [0, max).
+   * @param {number} max
+   * @returns {number}
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Élément au hasard d'un tableau (undefined s'il est vide).
+   * @param {Array} items
+   * @returns {*}
+   */
+  pick(items) {
+    if (items.length === 0) return undefined;
+    return items[this.int(items.length)];
+  }
+
+  /**
+   * Élément au hasard, au prorata de son poids.
+   * @param {Array} items
+   * @param {Function} weightOf — (item) => number
+   * @returns {*}
+   */
+  weighted(items, weightOf) {
+    if (items.length === 0) return undefined;
+    const total = items.reduce((sum, item) => sum + weightOf(item), 0);
+    let roll    = this.next() * total;
+    for (const item of items) {
+      roll -= weightOf(item);
+      if (roll < 0) return item;
+    }
+    return items[items.length - 1];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Interne
+  // ---------------------------------------------------------------------------
+
+  /** Anciennes sauvegardes sans graine : on en tire une. */
+  _ensureSeeded() {
+    if (!this._stateManager.getState().rng) this.seed(Random.newSeed());
+    return this._stateManager.getState().rng;
+  }
+}
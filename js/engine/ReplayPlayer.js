@@ -0,0 +1,156 @@
+/**
+ * ReplayPlayer.js — Le Dernier Phare
+ *
+ * Relecture d'un journal d'actions exporte par le StateManager : recharge
+ * l'etat de depart, puis re-dispatche les actions une a une, en lecture
+ * continue (vitesse reglable) ou pas a pas. Les systemes de jeu ne sont
+ * pas sollicites : seul l'etat est rejoue, a l'identique.
+ *
+ * Une annulation n'est journalisee que par un marqueur UNDO_MOVE : la
+ * relecture garde un instantane avant chaque MOVE de la journee et
+ * restaure le dernier, comme l'UndoStack en partie.
+ */
+
+import { UndoStack } from './UndoStack.js';
+
+export class ReplayPlayer {
+  /** Vitesses de lecture proposees (actions par seconde) */
+  static SPEEDS = [1, 2, 4, 8, 16];
+
+  /**
+   * @param {import('./StateManager.js').StateManager} stateManager
+   */
+  constructor(stateManager) {
+    /** @type {import('./StateManager.js').StateManager} */
+    this._stateManager = stateManager;
+
+    this._actions = [];
+    this._index   = 0;
+    this._playing = false;
+    this._speed   = ReplayPlayer.SPEEDS[1];
+    this._elapsed = 0;
+    /** @type {string[]} Etats serialises avant les derniers MOVE du jour */
+    this._checkpoints = [];
+
+    // Callbacks injectés par main.js
+    this._callbacks = {
+      onStep: null,  // (index, total, action) => void — après chaque action
+      onEnd:  null,  // () => void — journal entièrement rejoué
+    };
+  }
+
+  /**
+   * Enregistre les callbacks (appelé par main.js).
+   * @param {Object} callbacks
+   */
+  setCallbacks(callbacks) {
+    Object.assign(this._callbacks, callbacks);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Chargement
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Charge un journal et remet l'etat a son point de depart.
+   * @param {Object} log — Journal de StateManager.getActionLog()
+   * @returns {boolean}
+   */
+  load(log) {
+    if (!log || typeof log.initialState !== 'string' || !Array.isArray(log.actions)) {
+      console.error('[ReplayPlayer] Journal invalide');
+      return false;
+    }
+
+    this._actions = log.actions;
+    this._index   = 0;
+    this._playing = false;
+    this._elapsed = 0;
+    this._checkpoints = [];
+    this._stateManager.deserialize(log.initialState);
+    return true;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Controles
+  // ---------------------------------------------------------------------------
+
+  get index()    { return this._index; }
+  get total()    { return this._actions.length; }
+  get playing()  { return this._playing; }
+  get speed()    { return this._speed; }
+
+  isFinished() {
+    return this._index >= this._actions.length;
+  }
+
+  play() {
+    if (!this.isFinished()) this._playing = true;
+  }
+
+  pause() {
+    this._playing = false;
+  }
+
+  toggle() {
+    if (this._playing) this.pause();
+    else this.play();
+  }
+
+  /** @param {number} speed — Actions par seconde */
+  setSpeed(speed) {
+    this._speed = Math.max(0.1, Number(speed) || 1);
+  }
+
+  /**
+   * Rejoue l'action suivante.
+   * @returns {boolean} false si le journal est termine
+   */
+  step() {
+    if (this.isFinished()) return false;
+
+    const { type, payload } = this._actions[this._index++];
+    if (type === 'UNDO_MOVE') {
+      const snapshot = this._checkpoints.pop();
+      if (snapshot) this._stateManager.restoreSnapshot(snapshot);
+      else console.warn('[ReplayPlayer] Annulation sans deplacement a annuler');
+    } else {
+      this._recordCheckpoint(type);
+      this._stateManager.dispatch({ type, payload });
+    }
+    this._callbacks.onStep?.(this._index, this._actions.length, { type, payload });
+
+    if (this.isFinished()) {
+      this._playing = false;
+      this._callbacks.onEnd?.();
+    }
+    return true;
+  }
+
+  /**
+   * Instantane avant chaque MOVE ; la pile d'annulation est videe a chaque
+   * changement de phase, comme en partie.
+   * @param {string} type — Action sur le point d'etre rejouee
+   */
+  _recordCheckpoint(type) {
+    if (type === 'SET_PHASE') this._checkpoints = [];
+    if (type !== 'MOVE') return;
+    this._checkpoints.push(this._stateManager.serialize());
+    if (this._checkpoints.length > UndoStack.MAX_DEPTH) this._checkpoints.shift();
+  }
+
+  /**
+   * Avance la lecture continue (appele a chaque frame par la boucle de jeu).
+   * @param {number} dt — Secondes ecoulees
+   */
+  update(dt) {
+    if (!this._playing) return;
+
+    this._elapsed += dt;
+    const interval = 1 / this._speed;
+    while (this._playing && this._elapsed >= interval) {
+      this._elapsed -= interval;
+      this.step();
+    }
+  }
+}
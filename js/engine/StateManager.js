@@ -3,6 +3,8 @@
  *
  * Gestionnaire d'etat central du jeu, inspire du pattern Redux.
  * Maintient l'etat global et notifie les abonnes a chaque changement.
+ * Chaque action est journalisee (avec l'etat de depart et la graine) :
+ * le journal exporte permet de rejouer une partie (ReplayPlayer).
  */
 
 export class StateManager {
@@ -11,6 +13,12 @@ export class StateManager {
     this._state = this._createInitialState();
     /** @type {Function[]} Fonctions abonnees aux changements */
     this._listeners = [];
+    /** @type {string} Etat serialise au debut du journal */
+    this._logStart = this.serialize();
+    /** @type {Array<Object>} Actions depuis _logStart : { type, payload, at } */
+    this._log = [];
+    /** @type {number} Incrementee a chaque changement d'etat (UndoStack) */
+    this._version = 0;
   }
 
   // --- Etat initial ---
@@ -19,20 +27,27 @@ export class StateManager {
     return {
       act: 1, phase: "dawn", turn: 0, movesRemaining: 5,
       player: {
-        position: { q: 0, r: 0 }, sanity: 100,
-        inventory: [], journal: [], flags: {}
+        position: { q: 0, r: 0 }, sanity: 100, health: 100,
+        inventory: [], journal: [], flags: {}, distortions: []
       },
       resources: { oil: 12, food: 8, supplies: 5 },
+      dayActions: [],   // actions de tuile deja faites aujourd'hui (ActionSystem)
+      lighthouse: { upgrades: [] },
       npcs: {},
-      board: { explored: new Set(["0,0"]), tileStates: {} },
+      board: { explored: new Set(["0,0"]), tileStates: {}, turn: 0 },
       events: { completed: [], active: null },
       lighthouseLit: [],
+      weather: null,
+      rng: null,   // { seed, state } — generateur de la partie (Random)
       gameStarted: false, gameOver: false
     };
   }
 
   getState() { return this._state; }
 
+  /** Version de l'etat : change a chaque action et a chaque chargement. */
+  getVersion() { return this._version; }
+
   dispatch(action) {
     const { type, payload } = action;
     switch (type) {
@@ -40,7 +55,25 @@ export class StateManager {
         const { q, r } = payload;
         this._state.player.position = { q, r };
         this._state.board.explored.add(q + "," + r);
-        this._state.movesRemaining = Math.max(0, this._state.movesRemaining - 1);
+        // Cout du terrain (Tile.getMoveCost) ; 1 pour les anciens journaux
+        this._state.movesRemaining = Math.max(0, this._state.movesRemaining - (payload.cost ?? 1));
+        break; }
+      case 'SPEND_MOVES': {
+        this._state.movesRemaining = Math.max(0, this._state.movesRemaining - payload.amount);
+        break; }
+      case 'ADD_LIGHTHOUSE_UPGRADE': {
+        const built = this._state.lighthouse?.upgrades ?? [];
+        if (!built.includes(payload.id))
+          this._state.lighthouse = { ...this._state.lighthouse, upgrades: [...built, payload.id] };
+        break; }
+      case 'SET_TILE_STATE': {
+        this._state.board.tileStates = { ...this._state.board.tileStates, [payload.key]: payload.state };
+        break; }
+      case 'SET_BOARD_STATE': {
+        const tileStates = {};
+        for (const tile of payload.tiles) tileStates[tile.q + "," + tile.r] = tile;
+        this._state.board.tileStates = tileStates;
+        this._state.board.turn = payload.turn;
         break; }
       case 'UPDATE_RESOURCE': {
         const { resource, amount } = payload;
@@ -50,13 +83,41 @@ export class StateManager {
       case 'SET_PHASE': {
         this._state.phase = payload.phase;
         if (payload.movesRemaining !== undefined) this._state.movesRemaining = payload.movesRemaining;
+        if (payload.phase === 'day') this._state.dayActions = [];
+        break; }
+      case 'RECORD_DAY_ACTION': {
+        this._state.dayActions = [...(this._state.dayActions ?? []), payload.key];
         break; }
       case 'SET_SANITY': {
         this._state.player.sanity = Math.max(0, Math.min(100, payload.sanity));
         break; }
+      case 'SET_HEALTH': {
+        this._state.player.health = Math.max(0, Math.min(100, payload.health));
+        break; }
       case 'ADD_JOURNAL': {
-        this._state.player.journal.push({ id: payload.id, text: payload.text,
-          act: this._state.act, turn: this._state.turn, timestamp: Date.now() });
+        const entry = { id: payload.id, text: payload.text,
+          act: this._state.act, turn: this._state.turn, timestamp: Date.now() };
+        // Note hallucinee : tuile vers laquelle elle attire le joueur
+        if (payload.hallucination) Object.assign(entry, { hallucination: true, target: payload.target, followed: false });
+        this._state.player.journal.push(entry);
+        break; }
+      case 'RECORD_DISTORTION': {
+        // Dialogue altere par la sante mentale : version reelle et version lue
+        this._state.player.distortions = [...(this._state.player.distortions ?? []),
+          { ...payload, act: this._state.act }];
+        break; }
+      case 'ADD_ITEM': {
+        this._state.player.inventory = [...this._state.player.inventory, payload.id];
+        break; }
+      case 'REMOVE_ITEM': {
+        const inventory = [...this._state.player.inventory];
+        const index = inventory.indexOf(payload.id);
+        if (index !== -1) inventory.splice(index, 1);
+        this._state.player.inventory = inventory;
+        break; }
+      case 'FOLLOW_HALLUCINATION': {
+        const entry = this._state.player.journal.find(e => e.id === payload.id);
+        if (entry) entry.followed = true;
         break; }
       case 'SET_FLAG': {
         this._state.player.flags[payload.flag] = payload.value !== undefined ? payload.value : true;
@@ -69,8 +130,20 @@ export class StateManager {
         this._state.act = Math.min(5, this._state.act + 1);
         this._state.turn = 0; this._state.phase = "dawn";
         break; }
+      case 'COMPLETE_EVENT': {
+        if (!this._state.events.completed.includes(payload.id))
+          this._state.events.completed.push(payload.id);
+        break; }
+      case 'SET_RNG': {
+        this._state.rng = { seed: payload.seed, state: payload.state };
+        break; }
+      case 'SET_WEATHER': {
+        this._state.weather = payload.id;
+        break; }
       case 'SET_LIGHTHOUSE_NIGHT': {
-        this._state.lighthouseLit = [...this._state.lighthouseLit, payload.lit];
+        // Intensite choisie (ex. 'normal', 'signal') ou false si eteint
+        const night = payload.lit ? (payload.level ?? true) : false;
+        this._state.lighthouseLit = [...this._state.lighthouseLit, night];
         break; }
       case 'SET_GAME_OVER': {
         this._state.gameOver = true;
@@ -78,9 +151,58 @@ export class StateManager {
         break; }
       default: console.warn("[StateManager] Action inconnue : " + type); return;
     }
+    this._version++;
+    this._log.push({
+      type,
+      payload: payload === undefined ? undefined : JSON.parse(JSON.stringify(payload)),
+      at: Date.now()
+    });
+    this._notifyListeners();
+  }
+
+  /**
+   * Annulation d'un deplacement : retour a l'instantane pris juste avant
+   * son MOVE. Le journal n'en garde qu'un marqueur UNDO_MOVE, que le
+   * ReplayPlayer rejoue avec ses propres instantanes.
+   * @param {string} snapshot - Etat serialise (serialize())
+   * @param {number} [version] - Version de l'etat a l'instantane : une
+   *   annulation precedente redevient possible
+   */
+  restoreSnapshot(snapshot, version) {
+    const restored = JSON.parse(snapshot);
+    this._restoreSets(restored);
+    this._state = restored;
+    this._version = version ?? this._version + 1;
+    this._log.push({ type: 'UNDO_MOVE', at: Date.now() });
     this._notifyListeners();
   }
 
+  /**
+   * Avance du generateur (Random.next) : ecrite dans state.rng sans notifier
+   * ni journaliser — un tirage n'est pas une action de jeu, seule la graine
+   * (SET_RNG) l'est.
+   * @param {number} state - Etat mulberry32
+   */
+  setRngState(state) {
+    this._state.rng = { ...this._state.rng, state };
+  }
+
+  // --- Journal des actions ---
+
+  /**
+   * Journal exportable : etat de depart, graine et actions horodatees.
+   * @returns {{ version: number, seed: number|null, exportedAt: number, initialState: string, actions: Array<Object> }}
+   */
+  getActionLog() {
+    return {
+      version: 1,
+      seed: this._state.rng?.seed ?? null,
+      exportedAt: Date.now(),
+      initialState: this._logStart,
+      actions: this._log.slice()
+    };
+  }
+
   subscribe(listener) {
     if (typeof listener !== 'function') return () => {};
     this._listeners.push(listener);
@@ -104,6 +226,10 @@ export class StateManager {
       const parsed = JSON.parse(json);
       this._restoreSets(parsed);
       this._state = parsed;
+      this._version++;
+      // Le journal repart de l'etat charge
+      this._logStart = json;
+      this._log = [];
       this._notifyListeners();
     } catch (e) { console.error('[StateManager] Deserialize error:', e); }
   }
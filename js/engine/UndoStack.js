@@ -0,0 +1,77 @@
+/**
+ * UndoStack.js — Le Dernier Phare
+ *
+ * Pile d'annulation des déplacements de la journée, faite d'instantanés
+ * du StateManager. Chaque entrée garde l'état d'avant le déplacement et
+ * les versions de l'état avant et après : on ne peut annuler que si rien
+ * d'autre n'a changé depuis (ni objet ramassé, ni événement, ni action du
+ * jour). La pile est vidée à chaque changement de phase.
+ */
+
+export class UndoStack {
+  /** Nombre maximal de déplacements annulables d'affilée */
+  static MAX_DEPTH = 10;
+
+  /**
+   * @param {import('./StateManager.js').StateManager} stateManager
+   */
+  constructor(stateManager) {
+    /** @type {import('./StateManager.js').StateManager} */
+    this._stateManager = stateManager;
+
+    /** @type {Array<{ before: string, beforeVersion: number, after: number|null }>} */
+    this._entries = [];
+  }
+
+  /**
+   * Mémorise l'état courant, juste avant un déplacement.
+   */
+  begin() {
+    this._entries.push({
+      before:        this._stateManager.serialize(),
+      beforeVersion: this._stateManager.getVersion(),
+      after:         null,
+    });
+    if (this._entries.length > UndoStack.MAX_DEPTH) this._entries.shift();
+  }
+
+  /**
+   * Clôt le déplacement commencé par begin().
+   * @param {boolean} undoable — false si le déplacement a eu des conséquences
+   *   (butin, événement, rencontre) : plus rien n'est annulable avant lui
+   */
+  commit(undoable) {
+    const entry = this._entries[this._entries.length - 1];
+    if (!entry || entry.after !== null) return;
+
+    if (undoable) entry.after = this._stateManager.getVersion();
+    else this.clear();
+  }
+
+  /**
+   * Le dernier déplacement peut-il être annulé ? Faux dès que l'état a
+   * changé depuis (action du jour, événement, nouvelle phase…).
+   * @returns {boolean}
+   */
+  canUndo() {
+    const entry = this._entries[this._entries.length - 1];
+    if (!entry || entry.after === null) return false;
+    return this._stateManager.getState().phase === 'day'
+      && this._stateManager.getVersion() === entry.after;
+  }
+
+  /**
+   * Restaure l'état d'avant le dernier déplacement.
+   * @returns {boolean} false si rien n'est annulable
+   */
+  undo() {
+    if (!this.canUndo()) return false;
+    const { before, beforeVersion } = this._entries.pop();
+    this._stateManager.restoreSnapshot(before, beforeVersion);
+    return true;
+  }
+
+  clear() {
+    this._entries = [];
+  }
+}
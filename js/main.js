@@ -9,18 +9,41 @@ import { StateManager }    from './engine/StateManager.js';
 import { Renderer }        from './engine/Renderer.js';
 import { InputHandler }    from './engine/InputHandler.js';
 import { SaveManager }     from './engine/SaveManager.js';
+import { Random }          from './engine/Random.js';
+import { ReplayPlayer }    from './engine/ReplayPlayer.js';
+import { UndoStack }       from './engine/UndoStack.js';
 import { Board }           from './board/Board.js';
 import { BoardRenderer }   from './board/BoardRenderer.js';
 import { PathFinder }      from './board/PathFinder.js';
-import { ISLAND_MAP, NPC_SPAWN_LOCATIONS } from './data/island-map.js';
+import { formatMoves }     from './board/Tile.js';
+import { ISLAND_MAP }      from './data/island-map.js';
 import { ResourceManager } from './systems/ResourceManager.js';
 import { TimeManager }     from './systems/TimeManager.js';
 import { TutorialSystem }  from './systems/TutorialSystem.js';
+import { DialogueEngine }  from './narrative/DialogueEngine.js';
+import { NPCManager }      from './narrative/NPCManager.js';
+import { EndingResolver }  from './narrative/EndingResolver.js';
+import { EventSystem }     from './systems/EventSystem.js';
+import { SanitySystem }    from './systems/SanitySystem.js';
+import { InventorySystem } from './systems/InventorySystem.js';
+import { ObstacleSystem }  from './systems/ObstacleSystem.js';
+import { CraftingSystem }  from './systems/CraftingSystem.js';
+import { LighthouseSystem } from './systems/LighthouseSystem.js';
+import { WeatherSystem }   from './systems/WeatherSystem.js';
+import { TideSystem }      from './systems/TideSystem.js';
+import { HazardSystem }    from './systems/HazardSystem.js';
+import { ActionSystem }    from './systems/ActionSystem.js';
+import { DIALOGUES }       from './data/dialogues.js';
+import { EVENTS }          from './data/events.js';
 
 // ============================================================
 // Classe principale du jeu
 // ============================================================
 class Game {
+
+    /** Delai entre deux pas d'un trajet sur plusieurs tuiles (ms) */
+    static TRAVEL_STEP_DELAY = 350;
+
     constructor() {
         // --- References DOM ---
         this.titleScreen   = document.getElementById('title-screen');
@@ -32,16 +55,48 @@ class Game {
         this.renderer      = new Renderer(this.canvas);
         this.gameLoop      = new GameLoop();
         this.saveManager   = new SaveManager(this.stateManager);
+        this.random        = new Random(this.stateManager);
+        this.undoStack     = new UndoStack(this.stateManager);
 
         // --- Systemes Phase 2 ---
         this.resourceManager = new ResourceManager(this.stateManager);
-        this.timeManager     = new TimeManager(this.stateManager, this.resourceManager);
+        this.weatherSystem   = new WeatherSystem(this.stateManager, this.random);
+        this.tideSystem      = new TideSystem(this.stateManager);
+        this.hazardSystem    = new HazardSystem(this.stateManager, this.random);
+        this.timeManager     = new TimeManager(this.stateManager, this.resourceManager, this.weatherSystem);
         this.tutorial        = new TutorialSystem(this.stateManager);
+        this.lighthouseSystem = new LighthouseSystem(this.stateManager, this.resourceManager);
+
+        // --- Systemes narratifs ---
+        this.npcManager      = new NPCManager(this.stateManager, this.random);
+        this.inventorySystem = new InventorySystem(this.stateManager, this.npcManager);
+        this.obstacleSystem  = new ObstacleSystem(this.stateManager, this.npcManager, this.inventorySystem);
+        this.craftingSystem  = new CraftingSystem(this.stateManager, this.resourceManager, this.inventorySystem);
+        this.dialogueEngine  = new DialogueEngine(this.stateManager);
+        this.dialogueEngine.load(DIALOGUES);
+        this.eventSystem     = new EventSystem(this.stateManager, this.dialogueEngine, this.random);
+        this.eventSystem.register(EVENTS);
+        this.eventSystem.checkTiles(ISLAND_MAP);
+        this.actionSystem    = new ActionSystem(this.stateManager, this.resourceManager, this.npcManager,
+                                                this.dialogueEngine, this.inventorySystem, this.random);
+        this.endingResolver  = new EndingResolver(this.stateManager, this.npcManager);
 
         // --- Systeme de plateau ---
         this.board         = new Board(ISLAND_MAP);
         this.boardRenderer = new BoardRenderer(this.renderer, this.board, this.stateManager);
         this.pathFinder    = new PathFinder(this.board);
+        this.board.setWeather(this.weatherSystem);
+        this.pathFinder.setWeather(this.weatherSystem);
+        this.pathFinder.setTide(this.tideSystem);
+        this.npcManager.setBoard(this.board, this.pathFinder);
+        this.obstacleSystem.setBoard(this.board);
+        this.actionSystem.setBoard(this.board);
+        this.lighthouseSystem.setBoard(this.board, this.pathFinder);
+        this.sanitySystem  = new SanitySystem(this.stateManager, this.board, this.random);
+        this.boardRenderer.setPerception(this.sanitySystem);
+        this.boardRenderer.setBeam(this.lighthouseSystem);
+        this.boardRenderer.setTide(this.tideSystem);
+        this.boardRenderer.setHazards(this.hazardSystem);
 
         // --- Input ---
         this.inputHandler = new InputHandler(this.canvas, (hex) => this.onHexClick(hex));
@@ -49,9 +104,18 @@ class Game {
         // --- Etat UI ---
         this.isDialogueActive = false;
         this.isPaused         = false;
+        this.isReplaying      = false;  // Relecture d'un journal exporte
+        this.replayPlayer     = null;
+        this._route           = null;   // Itinéraire prévisualisé, en attente de confirmation
+        this._travelTimer     = null;   // Trajet en cours sur plusieurs tuiles
+        this._selectedItem    = null;   // Objet selectionne dans l'inventaire
+
+        // --- Filtres de dialogue (la sante mentale altere ce qui est lu) ---
+        this._dialogueFilters = [];
+        this.addDialogueFilter((view) => this.sanitySystem.filterDialogue(view));
 
         // --- Initialisation ---
-        this._wireTimeManager();
+        this._wireSystems();
         this._setupEventListeners();
         this._setupGameLoop();
         this._checkSaves();
@@ -61,8 +125,8 @@ class Game {
     // Initialisation
     // =========================================================================
 
-    /** Connecte les callbacks du TimeManager aux methodes de ce Game. */
-    _wireTimeManager() {
+    /** Connecte les callbacks des systemes (TimeManager, DialogueEngine, EventSystem) aux methodes de ce Game. */
+    _wireSystems() {
         this.tutorial.setNotifyFn((msg, type) => this.showNotification(msg, type));
 
         this.timeManager.setCallbacks({
@@ -73,18 +137,72 @@ class Game {
             updateHUD:        ()           => this.updateHUD(),
             updateValidMoves: ()           => this._updateValidMoves(),
             checkNewArrivals: (act)        => this._checkNewArrivals(act),
+            onPhaseChange:    (phase)      => {
+                if (phase === 'dawn') this.lighthouseSystem.stopBeam();
+                this.undoStack.clear();
+                this._stopTravel();
+                this.npcManager.advanceSchedules(phase);
+            },
+            onNightStart:     (level)      => {
+                if (level) this.lighthouseSystem.startBeam(level);
+                this._checkNightHazard();
+            },
+            triggerNightEvent: (onEnd)     => this._triggerNightEvent(onEnd),
             onDawnComplete:   (act)        => {
                 this.tutorial.checkAutoTriggers();
                 this.updateHUD();
             },
             onGameOver: (reason, message) => this._handleGameOver(reason, message),
         });
+
+        this.dialogueEngine.setCallbacks({
+            showDialogue:  (cfg)     => this.showDialogue(cfg),
+            closeDialogue: ()        => this.closeDialogue(),
+            applyEffects:  (effects) => this._applyChoiceEffects(effects),
+        });
+
+        this.eventSystem.setCallbacks({
+            applyEffects: (effects) => this._applyChoiceEffects(effects),
+        });
+
+        this.inventorySystem.setCallbacks({
+            applyEffects:     (effects)   => this._applyChoiceEffects(effects),
+            showNotification: (msg, type) => this.showNotification(msg, type),
+        });
+
+        this.obstacleSystem.setCallbacks({
+            showNotification: (msg, type) => this.showNotification(msg, type),
+            onCleared:        ()          => this._onObstacleCleared(),
+        });
+
+        this.craftingSystem.setCallbacks({
+            showNotification: (msg, type) => this.showNotification(msg, type),
+            onCrafted:        ()          => this._onDayActionSpent(),
+        });
+
+        this.lighthouseSystem.setCallbacks({
+            showNotification: (msg, type) => this.showNotification(msg, type),
+            onBuilt:          ()          => this._onDayActionSpent(),
+        });
+
+        this.actionSystem.setCallbacks({
+            applyEffects:     (effects)   => this._applyChoiceEffects(effects),
+            collectLoot:      (tile)      => this._collectLoot(tile),
+            showNotification: (msg, type) => this.showNotification(msg, type),
+            onPerformed:      ()          => this._onDayActionSpent(),
+        });
     }
 
     _setupEventListeners() {
         // Boutons ecran titre
         document.getElementById('btn-new-game').addEventListener('click', () => this.startNewGame());
         document.getElementById('btn-continue').addEventListener('click', () => this.continueGame());
+        document.getElementById('btn-replay').addEventListener('click', () => document.getElementById('replay-file').click());
+        document.getElementById('replay-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this._readReplayFile(file);
+        });
 
         // Boutons in-game
         document.getElementById('btn-menu').addEventListener('click', () => this.togglePauseMenu());
@@ -93,7 +211,7 @@ class Game {
 
         // Bouton fin de journee
         document.getElementById('btn-end-day').addEventListener('click', () => {
-            if (!this.isDialogueActive && !this.isPaused) {
+            if (!this.isDialogueActive && !this.isPaused && !this.isReplaying) {
                 const state = this.stateManager.getState();
                 if (state.phase === 'day') {
                     this.tutorial.trigger('day_end_manual');
@@ -102,12 +220,37 @@ class Game {
             }
         });
 
+        // Annulation du dernier deplacement (bouton et Ctrl+Z)
+        document.getElementById('btn-undo').addEventListener('click', () => this.undoMove());
+        document.addEventListener('game:undo', () => this.undoMove());
+
         // Menu pause
         document.getElementById('btn-resume').addEventListener('click', () => this.togglePauseMenu());
         document.getElementById('btn-save').addEventListener('click', () => this.saveGame());
         document.getElementById('btn-load').addEventListener('click', () => this.loadGame());
+        document.getElementById('btn-export').addEventListener('click', () => this.exportActionLog());
         document.getElementById('btn-quit').addEventListener('click', () => this.quitToTitle());
 
+        // Relecture
+        document.getElementById('btn-replay-toggle').addEventListener('click', () => {
+            this.replayPlayer?.toggle();
+            this._updateReplayBar();
+        });
+        document.getElementById('btn-replay-step').addEventListener('click', () => {
+            this.replayPlayer?.pause();
+            this.replayPlayer?.step();
+            this._updateReplayBar();
+        });
+        const speedSelect = document.getElementById('replay-speed');
+        for (const speed of ReplayPlayer.SPEEDS) {
+            speedSelect.add(new Option(`×${speed}`, speed));
+        }
+        speedSelect.addEventListener('change', () => this.replayPlayer?.setSpeed(speedSelect.value));
+        document.getElementById('btn-replay-quit').addEventListener('click', () => this.quitToTitle());
+
+        // Ecran de fin
+        document.getElementById('btn-ending-quit').addEventListener('click', () => this.quitToTitle());
+
         // Touche Escape
         document.addEventListener('game:toggleMenu', () => this.togglePauseMenu());
 
@@ -116,7 +259,9 @@ class Game {
     }
 
     _setupGameLoop() {
-        this.gameLoop.addUpdateCallback((_dt) => {
+        this.gameLoop.addUpdateCallback((dt) => {
+            this.lighthouseSystem.update(dt);
+            if (this.isReplaying) this.replayPlayer.update(dt);
             // Futurs systemes : particules, lumières dynamiques, etc.
         });
 
@@ -144,18 +289,50 @@ class Game {
         // Reinitialiser les systemes
         this.stateManager    = new StateManager();
         this.saveManager     = new SaveManager(this.stateManager);
+        this.random          = new Random(this.stateManager);
+        this.random.seed(new URLSearchParams(window.location.search).get('seed') ?? Random.newSeed());
+        this.undoStack       = new UndoStack(this.stateManager);
         this.resourceManager = new ResourceManager(this.stateManager);
-        this.timeManager     = new TimeManager(this.stateManager, this.resourceManager);
+        this.weatherSystem   = new WeatherSystem(this.stateManager, this.random);
+        this.tideSystem      = new TideSystem(this.stateManager);
+        this.hazardSystem    = new HazardSystem(this.stateManager, this.random);
+        this.timeManager     = new TimeManager(this.stateManager, this.resourceManager, this.weatherSystem);
         this.tutorial        = new TutorialSystem(this.stateManager);
-
-        this._wireTimeManager();
+        this.lighthouseSystem = new LighthouseSystem(this.stateManager, this.resourceManager);
+        this.npcManager      = new NPCManager(this.stateManager, this.random);
+        this.inventorySystem = new InventorySystem(this.stateManager, this.npcManager);
+        this.obstacleSystem  = new ObstacleSystem(this.stateManager, this.npcManager, this.inventorySystem);
+        this.craftingSystem  = new CraftingSystem(this.stateManager, this.resourceManager, this.inventorySystem);
+        this.dialogueEngine  = new DialogueEngine(this.stateManager);
+        this.dialogueEngine.load(DIALOGUES);
+        this.eventSystem     = new EventSystem(this.stateManager, this.dialogueEngine, this.random);
+        this.eventSystem.register(EVENTS);
+        this.actionSystem    = new ActionSystem(this.stateManager, this.resourceManager, this.npcManager,
+                                                this.dialogueEngine, this.inventorySystem, this.random);
+        this.endingResolver  = new EndingResolver(this.stateManager, this.npcManager);
+
+        this._wireSystems();
         this.stateManager.subscribe((state) => this.onStateChange(state));
 
         // Reinitialiser le plateau
         this.board         = new Board(ISLAND_MAP);
         this.boardRenderer = new BoardRenderer(this.renderer, this.board, this.stateManager);
         this.pathFinder    = new PathFinder(this.board);
-
+        this.board.setWeather(this.weatherSystem);
+        this.pathFinder.setWeather(this.weatherSystem);
+        this.pathFinder.setTide(this.tideSystem);
+        this.npcManager.setBoard(this.board, this.pathFinder);
+        this.obstacleSystem.setBoard(this.board);
+        this.actionSystem.setBoard(this.board);
+        this.lighthouseSystem.setBoard(this.board, this.pathFinder);
+        this.sanitySystem  = new SanitySystem(this.stateManager, this.board, this.random);
+        this.boardRenderer.setPerception(this.sanitySystem);
+        this.boardRenderer.setBeam(this.lighthouseSystem);
+        this.boardRenderer.setTide(this.tideSystem);
+        this.boardRenderer.setHazards(this.hazardSystem);
+
+        this.npcManager.init();
+        this.npcManager.spawnArrivals(1);
         this._initBoard();
 
         this.titleScreen.classList.add('hidden');
@@ -173,6 +350,9 @@ class Game {
     continueGame() {
         const loaded = this.saveManager.load('autosave') || this.saveManager.load('save_1');
         if (loaded) {
+            this.undoStack.clear();
+            this.dialogueEngine.cancel();
+            this.npcManager.init();
             this._restoreBoardFromState();
             this.titleScreen.classList.add('hidden');
             this.gameContainer.classList.remove('hidden');
@@ -184,22 +364,44 @@ class Game {
     }
 
     _initBoard() {
-        this.board.exploreTile(0, 0);
+        this._exploreTile(0, 0);
         this._updateValidMoves();
         this.updateHUD();
     }
 
     _restoreBoardFromState() {
         const state = this.stateManager.getState();
-        for (const key of state.board.explored) {
-            const [q, r] = key.split(',').map(Number);
-            this.board.exploreTile(q, r);
+        // Etat des tuiles : brouillard, souvenirs, obstacles degages
+        this.board.restoreState(Object.values(state.board.tileStates ?? {}));
+        this.board.turn = state.board.turn ?? 0;
+
+        // Anciennes sauvegardes sans brouillard enregistre : on rejoue l'exploration
+        if (state.board.turn === undefined) {
+            for (const key of state.board.explored) {
+                const [q, r] = key.split(',').map(Number);
+                this.board.exploreTile(q, r);
+            }
         }
         this._updateValidMoves();
     }
 
+    /**
+     * Explore une tuile, memorise ce que le gardien voit depuis elle
+     * (PNJ, butin) et enregistre le brouillard pour la sauvegarde.
+     */
+    _exploreTile(q, r) {
+        for (const tile of this.board.exploreTile(q, r)) {
+            tile.remember(this.npcManager.getNPCsAt(tile.q, tile.r));
+        }
+        this.stateManager.dispatch({
+            type: 'SET_BOARD_STATE',
+            payload: { turn: this.board.turn, tiles: this.board.serializeState() },
+        });
+    }
+
     _startAct1() {
-        this.showPhaseTransition('Jour 1', 'L\'aube se lève sur le phare. Le brouillard étouffe tout son.');
+        const weather = this.weatherSystem.roll();
+        this.showPhaseTransition('Jour 1', `L'aube se lève sur le phare. Le brouillard étouffe tout son. ${weather.dawnText}`);
 
         setTimeout(() => {
             this.timeManager.startDay();
@@ -213,7 +415,12 @@ class Game {
     // =========================================================================
 
     onHexClick(hex) {
-        if (this.isDialogueActive || this.isPaused) return;
+        if (this.isDialogueActive || this.isPaused || this.isReplaying) return;
+        if (this._travelTimer) return;
+
+        // Un second clic sur la meme destination confirme l'itineraire
+        const pending = this._route;
+        this._clearRoute();
 
         const state = this.stateManager.getState();
         const tile  = this.board.getTile(hex.q, hex.r);
@@ -231,9 +438,19 @@ class Game {
         const isValid = validMoves.some(m => m.q === hex.q && m.r === hex.r);
 
         if (!isValid) {
+            const closedBy = this.weatherSystem.blocksTile(tile) ?? this.tideSystem.blocksTile(tile);
+            if (closedBy && tile.fogState !== 'hidden'
+                && this.pathFinder.isAdjacent(state.player.position.q, state.player.position.r, hex.q, hex.r)) {
+                this.showNotification(closedBy, 'warning');
+                return;
+            }
             if (tile.fogState !== 'hidden') {
                 this.showLocationInfo(tile);
-                this.tutorial.trigger('fog_shroud');
+                if (pending?.reachable && pending.q === hex.q && pending.r === hex.r) {
+                    this._travelAlong(pending.path);
+                } else if (!this._previewRoute(hex.q, hex.r)) {
+                    this.tutorial.trigger('fog_shroud');
+                }
             }
             return;
         }
@@ -243,6 +460,11 @@ class Game {
             return;
         }
 
+        if (tile.getMoveCost() > state.movesRemaining) {
+            this.showNotification(`${tile.name} demande ${this._formatMoves(tile.getMoveCost())}, il vous en reste ${this._formatMoves(state.movesRemaining)}.`, 'warning');
+            return;
+        }
+
         if (tile.blocked) {
             this.showNotification(tile.blockReason || 'Ce passage est bloqué.', 'warning');
             return;
@@ -251,11 +473,87 @@ class Game {
         this.movePlayer(hex.q, hex.r, tile);
     }
 
+    // =========================================================================
+    // Trajets sur plusieurs tuiles
+    // =========================================================================
+
+    /**
+     * Propose l'itineraire le moins couteux vers une tuile connue, avec son cout.
+     * @returns {boolean} false si aucun itineraire n'y mene
+     */
+    _previewRoute(q, r) {
+        const state = this.stateManager.getState();
+        const { q: fromQ, r: fromR } = state.player.position;
+        const route = this.pathFinder.findCheapestPath(fromQ, fromR, q, r, { revealedOnly: true });
+        if (!route || route.path.length < 2) return false;
+
+        const { path, cost } = route;
+        const reachable = state.phase === 'day' && cost <= state.movesRemaining;
+        this._route = { q, r, path, cost, reachable };
+        this.boardRenderer.setRoute(this._route);
+
+        if (reachable) {
+            this.showNotification(`Trajet : ${this._formatMoves(cost)}. Cliquez à nouveau pour partir.`, 'info');
+        } else {
+            this.showNotification(`Trop loin : ${this._formatMoves(cost)}, il vous en reste ${this._formatMoves(state.movesRemaining)}.`, 'warning');
+        }
+        return true;
+    }
+
+    _clearRoute() {
+        this._route = null;
+        this.boardRenderer.setRoute(null);
+    }
+
+    /**
+     * Fait avancer le gardien pas a pas le long d'un itineraire. Le trajet
+     * s'interrompt des qu'une tuile declenche quelque chose (butin,
+     * evenement, rencontre), ou si le chemin n'est plus praticable.
+     * @param {Array<{ q: number, r: number }>} path - Depart compris
+     */
+    _travelAlong(path) {
+        const steps = path.slice(1);
+
+        const next = () => {
+            this._travelTimer = null;
+            if (this.isReplaying) return;
+            if (this.isPaused) {
+                this._travelTimer = setTimeout(next, Game.TRAVEL_STEP_DELAY);
+                return;
+            }
+
+            const state = this.stateManager.getState();
+            const step  = steps.shift();
+            if (!step || this.isDialogueActive || state.phase !== 'day') return;
+            if (!this.pathFinder.isValidMove(state.player.position.q, state.player.position.r, step.q, step.r)) return;
+
+            const tile = this.board.getTile(step.q, step.r);
+            if (tile.getMoveCost() > state.movesRemaining) return;
+
+            const quiet = this.movePlayer(step.q, step.r, tile);
+            if (quiet && steps.length > 0) this._travelTimer = setTimeout(next, Game.TRAVEL_STEP_DELAY);
+        };
+        next();
+    }
+
+    _stopTravel() {
+        clearTimeout(this._travelTimer);
+        this._travelTimer = null;
+        this._clearRoute();
+    }
+
+    /**
+     * Deplace le gardien d'une tuile.
+     * @returns {boolean} true si le deplacement n'a rien declenche
+     */
     movePlayer(q, r, tile) {
         const isFirstMove = !this.stateManager.getState().player.flags.first_move_done;
+        const wasPhantom  = this.sanitySystem.isPhantomAt(q, r);
+        let   undoable    = true;   // faux des que le deplacement a des consequences
 
-        this.stateManager.dispatch({ type: 'MOVE', payload: { q, r } });
-        this.board.exploreTile(q, r);
+        this.undoStack.begin();
+        this.stateManager.dispatch({ type: 'MOVE', payload: { q, r, cost: tile.getMoveCost() } });
+        this._exploreTile(q, r);
         this.showLocationInfo(tile);
 
         if (isFirstMove) {
@@ -263,15 +561,29 @@ class Game {
             this.tutorial.trigger('first_move');
         }
 
-        if (tile.loot && !tile.visited) {
+        if (tile.loot && tile.isDark() && !this.inventorySystem.hasLight()) {
+            this.showNotification('Il fait trop sombre pour fouiller ici. Il faudrait une lanterne.', 'warning');
+        } else if (tile.loot) {
             this._collectLoot(tile);
+            undoable = false;
         }
         tile.visited = true;
 
-        if (tile.events && tile.events.length > 0) {
-            this._checkTileEvents(tile);
+        // Dangers du terrain : une blessure peut etre fatale
+        const hazard = this.hazardSystem.applyOnEnter(tile);
+        if (hazard) {
+            undoable = false;
+            this.showNotification(`${hazard.text} (${this.hazardSystem.summarize(hazard)})`, 'danger');
+            if (this._checkResourceGameOver()) return false;
         }
 
+        if (this._checkTileEvents(tile)) undoable = false;
+        this._checkNPCEncounters(q, r);
+        if (this._checkHallucinations(q, r, wasPhantom)) undoable = false;
+        if (this.dialogueEngine.isActive()) undoable = false;
+        // Les effets d'un evenement ont pu etre fatals
+        if (this.stateManager.getState().gameOver) return false;
+
         this._updateValidMoves();
         this.updateHUD();
         this.tutorial.checkAutoTriggers();
@@ -280,13 +592,46 @@ class Game {
         // Transition auto si plus de mouvements
         const state = this.stateManager.getState();
         if (state.movesRemaining <= 0 && state.phase === 'day') {
+            undoable = false;
             setTimeout(() => {
                 this.showNotification('La nuit approche...', 'warning');
                 this.timeManager.transitionToDusk();
             }, 1000);
         }
 
+        this.undoStack.commit(undoable);
+        this._updateUndoButton();
         this.saveManager.autosave();
+        return undoable;
+    }
+
+    /**
+     * Annule le dernier deplacement de la journee, s'il n'a rien declenche
+     * (ni butin, ni evenement, ni rencontre) et que rien n'a change depuis.
+     */
+    undoMove() {
+        if (this.isDialogueActive || this.isPaused || this.isReplaying) return;
+        if (!this.undoStack.undo()) return;
+        this._stopTravel();
+
+        // Brouillard et souvenirs d'avant le deplacement
+        this._restoreBoardFromState();
+
+        const { q, r } = this.stateManager.getState().player.position;
+        const tile = this.board.getTile(q, r);
+        if (tile) this.showLocationInfo(tile);
+
+        this.updateHUD();
+        this.showNotification('Déplacement annulé.', 'info');
+        this.saveManager.autosave();
+    }
+
+    _updateUndoButton() {
+        const btn = document.getElementById('btn-undo');
+        if (!btn) return;
+        const isDay = this.stateManager.getState().phase === 'day';
+        btn.classList.toggle('hidden', !isDay);
+        btn.disabled = !isDay || !this.undoStack.canUndo();
     }
 
     _updateValidMoves() {
@@ -294,8 +639,9 @@ class Game {
         const moves = this.pathFinder.getValidMoves(
             state.player.position.q, state.player.position.r
         );
+        // Seuls les terrains que les deplacements restants permettent d'atteindre
         this.boardRenderer.setValidMoves(
-            state.movesRemaining > 0 ? moves : []
+            moves.filter(m => this.pathFinder.getMoveCost(m.q, m.r) <= state.movesRemaining)
         );
     }
 
@@ -303,13 +649,20 @@ class Game {
         if (!tile.loot) return;
         const loot = tile.loot;
 
-        this.stateManager.dispatch({
-            type: 'UPDATE_RESOURCE',
-            payload: { resource: loot.type, amount: loot.amount }
-        });
+        if (loot.type === 'item') {
+            this.inventorySystem.add(loot.item);
+            this.showNotification(`${loot.description} (${this.inventorySystem.getName(loot.item)})`, 'loot');
+        } else {
+            // La meteo peut rendre le butin plus genereux (debris, recifs decouverts)
+            const amount = loot.amount + this.weatherSystem.getLootBonus(tile);
+            this.stateManager.dispatch({
+                type: 'UPDATE_RESOURCE',
+                payload: { resource: loot.type, amount }
+            });
 
-        const label = this._getResourceLabel(loot.type);
-        this.showNotification(`${loot.description} (+${loot.amount} ${label})`, 'loot');
+            const label = this._getResourceLabel(loot.type);
+            this.showNotification(`${loot.description} (+${amount} ${label})`, 'loot');
+        }
 
         if (!this.stateManager.getState().player.flags.first_loot_done) {
             this.stateManager.dispatch({ type: 'SET_FLAG', payload: { flag: 'first_loot_done' } });
@@ -317,148 +670,70 @@ class Game {
         }
 
         tile.loot = null;
+        tile.remember(this.npcManager.getNPCsAt(tile.q, tile.r));
+        this.stateManager.dispatch({
+            type: 'SET_TILE_STATE',
+            payload: { key: tile.getKey(), state: tile.serializeState() },
+        });
+    }
+
+    /** "1,5 déplacement", "2 déplacements" — les sentiers coutent des demis. */
+    _formatMoves(amount) {
+        return `${formatMoves(amount)} déplacement${amount >= 2 ? 's' : ''}`;
     }
 
     _getResourceLabel(type) {
         return { oil: 'huile', food: 'nourriture', supplies: 'matériaux' }[type] ?? type;
     }
 
-    _checkTileEvents(tile) {
-        const state = this.stateManager.getState();
-        for (const eventId of tile.events) {
-            if (state.events.completed.includes(eventId)) continue;
-
-            switch (eventId) {
-                case 'find_sailor':
-                    if (state.act >= 1 && !state.npcs.marin) this._triggerNPCEvent('marin');
-                    break;
-                case 'cliff_vision':
-                    this._triggerVisionEvent();
-                    break;
-                case 'explore_shipwreck':
-                    this._triggerShipwreckEvent();
-                    break;
-                default:
-                    // Sera gere par l'EventSystem Phase 4
-                    break;
-            }
+    /** La nuit tombe : danger de la tuile ou le gardien s'est attarde. */
+    _checkNightHazard() {
+        const { q, r } = this.stateManager.getState().player.position;
+        const tile   = this.board.getTile(q, r);
+        const hazard = tile && this.hazardSystem.applyAtNight(tile);
+        if (hazard) {
+            this.showNotification(`${hazard.text} (${this.hazardSystem.summarize(hazard)})`, 'danger');
+            this._checkResourceGameOver();
         }
     }
 
-    // =========================================================================
-    // Evenements narratifs (Phase 1 - inchanges, Phase 3 enrichira)
-    // =========================================================================
-
-    _triggerNPCEvent(npcId) {
+    /**
+     * Fin de partie si la sante ou la sante mentale est tombee a zero
+     * (danger du terrain, effet de dialogue ou d'evenement).
+     * @returns {boolean} true si la partie est terminee
+     */
+    _checkResourceGameOver() {
         const state = this.stateManager.getState();
-        if (state.npcs[npcId]) return;
-
-        this.stateManager.dispatch({
-            type: 'UPDATE_NPC',
-            payload: { id: npcId, data: { arrived: state.act, trust: 0, alive: true, revealed: [] } }
-        });
-
-        switch (npcId) {
-            case 'marin':
-                this.showDialogue({
-                    speaker: 'Narrateur',
-                    text: 'Un homme gît sur le sable, à demi-conscient. Ses vêtements sont trempés, ses lèvres bleues par le froid. Il ouvre les yeux en vous entendant approcher.',
-                    choices: [
-                        { text: 'L\'aider à se relever', effects: { trust: { marin: 1 } } },
-                        { text: 'L\'observer à distance d\'abord', effects: { trust: { marin: -1 }, sanity: -3 } },
-                    ],
-                    onChoice: (index) => {
-                        if (index === 0) {
-                            this.showDialogue({
-                                speaker: 'Le Marin',
-                                text: 'Merci… Mon Dieu, merci. Je ne sais pas ce qui s\'est passé. Le bateau… il y a eu un bruit terrible, comme si la mer elle-même criait. Et puis l\'eau noire partout…',
-                                choices: [{ text: 'Continuer', effects: {} }],
-                                onChoice: () => {
-                                    this.stateManager.dispatch({ type: 'ADD_JOURNAL', payload: { id: 'marin_found', text: 'Un marin naufragé retrouvé sur la grève. Il parle d\'un bruit terrible et d\'eau noire.' } });
-                                    this.showNotification('Le Marin a rejoint le phare.', 'event');
-                                    this.closeDialogue();
-                                }
-                            });
-                        } else {
-                            this.showDialogue({
-                                speaker: 'Narrateur',
-                                text: 'Vous l\'observez ramper sur le sable. Il murmure quelque chose — des mots que vous ne comprenez pas. Une langue qui n\'existe pas. Puis il vous voit et son regard change.',
-                                choices: [{ text: 'Continuer', effects: {} }],
-                                onChoice: () => {
-                                    this.stateManager.dispatch({ type: 'ADD_JOURNAL', payload: { id: 'marin_found', text: 'Un marin retrouvé sur la grève. Il murmurait dans une langue inconnue avant de me voir.' } });
-                                    this.stateManager.dispatch({ type: 'SET_FLAG', payload: { flag: 'saw_marin_speak_unknown' } });
-                                    this.showNotification('Le Marin a rejoint le phare.', 'event');
-                                    this.closeDialogue();
-                                }
-                            });
-                        }
-                    }
-                });
-                this.stateManager.dispatch({ type: 'SET_FLAG', payload: { flag: 'marin_found' } });
-                break;
-        }
+        if (state.gameOver) return true;
+        const gameOver = this.resourceManager.checkGameOver(state);
+        if (!gameOver) return false;
+
+        this.undoStack.clear();
+        this._stopTravel();
+        this.dialogueEngine.cancel();
+        if (this.isDialogueActive) this.closeDialogue();
+        this._updateValidMoves();
+        this._handleGameOver(gameOver.reason, gameOver.message);
+        return true;
     }
 
-    _triggerVisionEvent() {
-        const state = this.stateManager.getState();
-        if (state.player.flags.cliff_vision) return;
-
-        this.stateManager.dispatch({ type: 'SET_FLAG', payload: { flag: 'cliff_vision' } });
-        this.stateManager.dispatch({ type: 'SET_SANITY', payload: { sanity: state.player.sanity - 8 } });
-
-        this.showDialogue({
-            speaker: 'Narrateur',
-            text: 'Du haut de la falaise, vous contemplez l\'océan. Pendant un instant — un bref instant — vous croyez voir quelque chose bouger sous la surface. Quelque chose de vaste. La sensation disparaît, mais pas le malaise.',
-            choices: [{ text: '…', effects: {} }],
-            onChoice: () => {
-                this.stateManager.dispatch({ type: 'ADD_JOURNAL', payload: { id: 'cliff_vision', text: 'Depuis la falaise nord, j\'ai cru voir… quelque chose d\'immense sous les vagues. Mon esprit me joue peut-être des tours.' } });
-                this.showNotification('Santé mentale −8', 'danger');
-                this.closeDialogue();
-            }
-        });
+    /** @returns {boolean} true si un evenement s'est declenche */
+    _checkTileEvents(tile) {
+        if (tile.events?.length > 0 && this.eventSystem.triggerTileEvents(tile)) return true;
+        if (this.dialogueEngine.isActive()) return false;
+        return Boolean(this.eventSystem.triggerHallucination(tile));
     }
 
-    _triggerShipwreckEvent() {
-        const state = this.stateManager.getState();
-        if (state.player.flags.shipwreck_explored) return;
-
-        this.stateManager.dispatch({ type: 'SET_FLAG', payload: { flag: 'shipwreck_explored' } });
-
-        this.showDialogue({
-            speaker: 'Narrateur',
-            text: 'L\'épave du Morrigane gît sur les rochers comme une carcasse éventrée. À l\'intérieur, l\'eau clapote dans l\'obscurité. Un journal de bord est encore lisible sur la table du capitaine.',
-            choices: [
-                { text: 'Lire le journal de bord', effects: {} },
-                { text: 'Fouiller la cale', effects: {} },
-            ],
-            onChoice: (index) => {
-                if (index === 0) {
-                    this.showDialogue({
-                        speaker: 'Journal du Morrigane',
-                        text: '"14 novembre — Le compas s\'affole depuis deux jours. L\'équipage entend des choses la nuit. Le mousse refuse de descendre dans la cale. Il dit que quelque chose respire en dessous."',
-                        choices: [{ text: 'Fermer le journal', effects: {} }],
-                        onChoice: () => {
-                            this.stateManager.dispatch({ type: 'ADD_JOURNAL', payload: { id: 'morrigane_log', text: 'Journal du Morrigane : le compas s\'affolait, l\'équipage entendait des choses. Quelque chose "respirait" sous la cale.' } });
-                            this.closeDialogue();
-                        }
-                    });
-                } else {
-                    const s = this.stateManager.getState();
-                    this.stateManager.dispatch({ type: 'SET_SANITY', payload: { sanity: s.player.sanity - 5 } });
-                    this.showDialogue({
-                        speaker: 'Narrateur',
-                        text: 'La cale est inondée d\'une eau noire et épaisse. En y plongeant la main, vos doigts effleurent quelque chose de lisse et froid. Ça bouge. Vous retirez votre main. Il n\'y a rien. Il n\'y a jamais rien eu.',
-                        choices: [{ text: '…', effects: {} }],
-                        onChoice: () => {
-                            this.stateManager.dispatch({ type: 'ADD_JOURNAL', payload: { id: 'morrigane_hull', text: 'Dans la cale du Morrigane, j\'ai touché… quelque chose. L\'eau était noire comme de l\'encre.' } });
-                            this.stateManager.dispatch({ type: 'SET_FLAG', payload: { flag: 'touched_something_in_hull' } });
-                            this.showNotification('Santé mentale −5', 'danger');
-                            this.closeDialogue();
-                        }
-                    });
-                }
-            }
-        });
+    /**
+     * Engage la conversation de rencontre d'un PNJ present sur la tuile,
+     * si aucun dialogue n'est deja en cours.
+     */
+    _checkNPCEncounters(q, r) {
+        if (this.dialogueEngine.isActive()) return;
+        for (const npc of this.npcManager.getNPCsAt(q, r)) {
+            if (npc.met) continue;
+            if (this.dialogueEngine.start(`${npc.id}_rencontre`)) return;
+        }
     }
 
     // =========================================================================
@@ -466,24 +741,86 @@ class Game {
     // =========================================================================
 
     _checkNewArrivals(act) {
-        for (const [npcId, spawn] of Object.entries(NPC_SPAWN_LOCATIONS)) {
-            if (spawn.act === act && !this.stateManager.getState().npcs[npcId]) {
-                this.showNotification('Quelqu\'un de nouveau semble être arrivé sur l\'île...', 'event');
-                this.tutorial.trigger('new_arrival');
-            }
+        const arrived = this.npcManager.spawnArrivals(act);
+        if (arrived.length > 0) {
+            this.showNotification('Quelqu\'un de nouveau semble être arrivé sur l\'île...', 'event');
+            this.tutorial.trigger('new_arrival');
         }
     }
 
     _handleGameOver(reason, message) {
-        if (reason === 'complete') {
-            this.stateManager.dispatch({ type: 'SET_GAME_OVER', payload: { reason: 'complete' } });
-            this.showPhaseTransition('Fin', 'L\'histoire touche à sa fin…');
-            return;
-        }
         this.stateManager.dispatch({ type: 'SET_GAME_OVER', payload: { reason } });
-        const text = message ?? 'Votre aventure s\'achève ici.';
+        const text = message ?? (reason === 'complete'
+            ? 'L\'histoire touche à sa fin…'
+            : 'Votre aventure s\'achève ici.');
         this.showPhaseTransition('Fin', text);
-        // Le reste sera étoffe Phase 6
+
+        const ending = this.endingResolver.resolve(reason);
+        setTimeout(() => this._showEndingScreen(ending), TimeManager.TRANSITION_DURATION);
+    }
+
+    /**
+     * Affiche la fin retenue et le recapitulatif de la partie.
+     * @param {Object} ending - Entree de ENDINGS
+     */
+    _showEndingScreen(ending) {
+        const recap = this.endingResolver.buildRecap();
+
+        document.getElementById('ending-title').textContent = ending.title;
+        document.getElementById('ending-text').textContent  = ending.text;
+
+        const nights = recap.nights.length > 0
+            ? recap.nights.map((level, i) => {
+                const label = this.resourceManager.getIntensity(level)?.name ?? 'Éteint';
+                return `<span class="ending-night ${level ? 'lit' : 'dark'}" title="Nuit ${i + 1} — ${label}">${level ? '&#9679;' : '&#9675;'}</span>`;
+            }).join('')
+            : '<span class="ending-none">Aucune nuit veillée</span>';
+
+        const npcs = recap.npcs.length > 0
+            ? recap.npcs.map(npc =>
+                `<li><strong>${npc.name}</strong> — ${npc.fate}, ${npc.trust.toLowerCase()}`
+                + (npc.secrets > 0 ? ` (${npc.secrets} secret${npc.secrets > 1 ? 's' : ''})` : '')
+                + '</li>'
+            ).join('')
+            : '<li class="ending-none">Vous n\'avez rencontré personne.</li>';
+
+        const choices = recap.choices.length > 0
+            ? recap.choices.map(text => `<li>${text}</li>`).join('')
+            : '<li class="ending-none">Vous êtes resté à l\'écart des secrets de l\'île.</li>';
+
+        const { written, followed } = recap.hallucinations;
+        const falseNotes = written > 0
+            ? `<p>Votre journal contenait ${written} note${written > 1 ? 's' : ''} que vous n'avez jamais écrite${written > 1 ? 's' : ''}.`
+              + (followed > 0 ? ` Vous en avez suivi ${followed}.` : '') + '</p>'
+            : '';
+
+        const distortions = recap.distortions.flatMap(d => [
+            ...(d.read !== d.picked
+                ? [`<li>Jour ${d.act} : vous avez lu « ${d.read} », vous avez choisi « ${d.picked} ».</li>`]
+                : []),
+            ...d.hidden.map(text => `<li>Jour ${d.act} : « ${text} » ne vous a jamais été proposé.</li>`),
+        ]).join('');
+
+        document.getElementById('ending-recap').innerHTML = `
+            <div class="ending-section">
+                <h3>Jours ${recap.days} — Santé mentale ${recap.sanity}</h3>
+                <div class="ending-nights">${nights}</div>
+            </div>
+            <div class="ending-section">
+                <h3>Les naufragés</h3>
+                <ul>${npcs}</ul>
+            </div>
+            <div class="ending-section">
+                <h3>Choix marquants</h3>
+                <ul>${choices}</ul>
+                ${falseNotes}
+            </div>
+            ${distortions ? `<div class="ending-section">
+                <h3>Ce que vous avez cru choisir</h3>
+                <ul>${distortions}</ul>
+            </div>` : ''}`;
+
+        document.getElementById('ending-screen').classList.remove('hidden');
     }
 
     // =========================================================================
@@ -529,45 +866,346 @@ class Game {
     // =========================================================================
 
     showLocationInfo(tile) {
-        document.getElementById('location-name').textContent = tile.name;
+        document.getElementById('location-name').textContent = this.sanitySystem.perceiveName(tile.name);
         document.getElementById('location-desc').textContent = tile.description;
         document.getElementById('location-info').classList.remove('hidden');
     }
 
+    /**
+     * Effets de la sante mentale basse apres un deplacement : silhouette
+     * fantome qui se dissipe, fausse note suivie, nouvelle fausse note.
+     * @returns {boolean} true si une hallucination s'est manifestee
+     */
+    _checkHallucinations(q, r, wasPhantom) {
+        let seen = wasPhantom;
+        if (wasPhantom) {
+            this.showNotification('La silhouette n\'était qu\'un rocher. Vous l\'auriez juré.', 'warning');
+        }
+        if (this.sanitySystem.checkFollowed(q, r).length > 0) {
+            this.showNotification('Il n\'y a rien ici. Vous êtes pourtant certain de l\'avoir noté.', 'warning');
+            seen = true;
+        }
+        if (this.sanitySystem.rollJournalHallucination()) {
+            this.showNotification('Une nouvelle note dans votre journal.', 'info');
+            seen = true;
+        }
+        return seen;
+    }
+
+    /**
+     * Evenement de nuit : seules les cases a la portee du faisceau peuvent
+     * le montrer sur le plateau.
+     * @param {Function} onEnd - Suite de la nuit une fois l'evenement termine
+     * @returns {boolean} true si un evenement est joue
+     */
+    _triggerNightEvent(onEnd) {
+        const played = this.eventSystem.triggerNightEvent({
+            onEnd,
+            tiles: this.lighthouseSystem.getBeamTiles(),
+        });
+        if (played?.tile) this.lighthouseSystem.markEvent(played.tile);
+        return played !== null;
+    }
+
+    /** Tuile degagee (etat deja memorise par l'ObstacleSystem) : ouvre le passage. */
+    _onObstacleCleared() {
+        this._onDayActionSpent();
+    }
+
+    /** Action de jour hors deplacement (degagement, atelier, action de tuile) : peut clore la journee. */
+    _onDayActionSpent() {
+        this._updateValidMoves();
+
+        const state = this.stateManager.getState();
+        if (state.movesRemaining <= 0 && state.phase === 'day' && !state.gameOver) {
+            setTimeout(() => {
+                this.showNotification('La nuit approche...', 'warning');
+                this.timeManager.transitionToDusk();
+            }, 1000);
+        }
+
+        this.saveManager.autosave();
+    }
+
+    /** Affiche dans #action-buttons les actions de la tuile, l'atelier du phare et les obstacles degageables. */
+    _updateActionButtons() {
+        const container = document.getElementById('action-buttons');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const addAction = (label, { ok, missing }, hint, action) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.disabled    = !ok;
+            btn.title       = ok ? hint : missing.join(' ');
+            btn.addEventListener('click', () => {
+                if (this.isDialogueActive || this.isPaused || this.isReplaying) return;
+                action();
+            });
+            container.appendChild(btn);
+        };
+
+        const actions = this.actionSystem;
+        for (const entry of actions.getAvailable()) {
+            const cost  = actions.describeCost(entry.id);
+            const label = actions.getLabel(entry);
+            addAction(cost ? `${label} — ${cost}` : label,
+                actions.checkAction(entry), actions.getAction(entry.id).description,
+                () => actions.perform(entry));
+        }
+
+        const crafting = this.craftingSystem;
+        if (crafting.isAtWorkshop()) {
+            for (const id of crafting.getAvailable()) {
+                const recipe = crafting.getRecipe(id);
+                addAction(`Atelier : ${recipe.name} — ${crafting.describeCost(id)}`,
+                    crafting.checkRecipe(id), recipe.description, () => crafting.craft(id));
+            }
+        }
+
+        for (const tile of this.obstacleSystem.getAdjacentObstacles()) {
+            const name = this.sanitySystem.perceiveName(tile.name);
+            tile.obstacle.options.forEach((option, index) => {
+                addAction(`${tile.obstacle.action} (${name}) — ${this.obstacleSystem.describeOption(option)}`,
+                    this.obstacleSystem.checkOption(option), tile.blockReason,
+                    () => this.obstacleSystem.clear(tile, index));
+            });
+        }
+    }
+
+    /** Prevision des marees pour les prochaines phases. */
+    _updateTidePanel() {
+        const listEl = document.getElementById('tide-forecast');
+        if (!listEl) return;
+
+        listEl.innerHTML = '';
+        this.tideSystem.getForecast().forEach(({ label, tide }, index) => {
+            const row = document.createElement('div');
+            row.className = 'night-cost-row tide-row' + (index === 0 ? ' current' : '');
+            row.title     = tide.forecast;
+            row.innerHTML = `<span>${label}</span><span>${tide.name}</span>`;
+            listEl.appendChild(row);
+        });
+    }
+
+    /** Affiche l'etat du phare et ses ameliorations (construites, constructibles, verrouillees). */
+    _updateLighthousePanel() {
+        const statsEl    = document.getElementById('lighthouse-stats');
+        const upgradesEl = document.getElementById('lighthouse-upgrades');
+        if (!statsEl || !upgradesEl) return;
+
+        const state = this.stateManager.getState();
+        const rm    = this.resourceManager;
+        statsEl.innerHTML = `
+            <div class="night-cost-row"><span>Huile par nuit</span><span>${rm.getOilCostTonight(state.act)}</span></div>
+            <div class="night-cost-row"><span>Portée du faisceau</span><span>${this.lighthouseSystem.getBeamRadius()} cases</span></div>
+            <div class="night-cost-row"><span>Nuit sans lumière</span><span>−${rm.getDarkPenalty(state.act)} santé</span></div>
+        `;
+
+        upgradesEl.innerHTML = '';
+        for (const id of this.lighthouseSystem.getIds()) {
+            const upgrade = this.lighthouseSystem.getUpgrade(id);
+            const built   = this.lighthouseSystem.isBuilt(id);
+            const { ok, missing } = this.lighthouseSystem.checkUpgrade(id);
+
+            const row = document.createElement('div');
+            row.className = 'lighthouse-upgrade' + (built ? ' built' : ok ? '' : ' locked');
+            row.title     = upgrade.description;
+
+            const name = document.createElement('span');
+            name.textContent = built ? `✓ ${upgrade.name}` : upgrade.name;
+            row.appendChild(name);
+
+            if (!built) {
+                const btn = document.createElement('button');
+                btn.className   = 'inventory-action';
+                btn.textContent = this.lighthouseSystem.describeCost(id);
+                btn.disabled    = !ok;
+                btn.title       = ok ? 'Construire' : missing.join(' ');
+                btn.addEventListener('click', () => {
+                    if (this.isDialogueActive || this.isPaused || this.isReplaying) return;
+                    this.lighthouseSystem.build(id);
+                });
+                row.appendChild(btn);
+            }
+            upgradesEl.appendChild(row);
+        }
+    }
+
+    /** Affiche l'inventaire et les actions de l'objet selectionne. */
+    _updateInventoryPanel() {
+        const listEl   = document.getElementById('inventory-list');
+        const detailEl = document.getElementById('inventory-detail');
+        if (!listEl || !detailEl) return;
+
+        const inv   = this.inventorySystem;
+        const items = inv.getItems();
+        if (!items.some(item => item.id === this._selectedItem)) this._selectedItem = null;
+
+        listEl.innerHTML = '';
+        if (items.length === 0) {
+            listEl.innerHTML = '<p class="inventory-empty">Vos poches sont vides.</p>';
+        }
+        for (const { id, count } of items) {
+            const btn = document.createElement('button');
+            btn.className   = 'inventory-item' + (id === this._selectedItem ? ' selected' : '');
+            btn.textContent = count > 1 ? `${inv.getName(id)} ×${count}` : inv.getName(id);
+            btn.title       = inv.getCategoryLabel(id);
+            btn.addEventListener('click', () => {
+                this._selectedItem = (id === this._selectedItem) ? null : id;
+                this._updateInventoryPanel();
+            });
+            listEl.appendChild(btn);
+        }
+
+        detailEl.innerHTML = '';
+        detailEl.classList.toggle('hidden', !this._selectedItem);
+        if (!this._selectedItem) return;
+
+        const id  = this._selectedItem;
+        const def = inv.getDefinition(id);
+        const desc = document.createElement('p');
+        desc.className   = 'inventory-desc';
+        desc.textContent = `${inv.getCategoryLabel(id)} — ${def.description}`;
+        detailEl.appendChild(desc);
+
+        const addAction = (label, enabled, action) => {
+            const btn = document.createElement('button');
+            btn.className   = 'inventory-action';
+            btn.textContent = label;
+            btn.disabled    = !enabled;
+            btn.addEventListener('click', () => {
+                if (this.isDialogueActive || this.isPaused || this.isReplaying) return;
+                action();
+            });
+            detailEl.appendChild(btn);
+        };
+
+        if (def.use) addAction('Utiliser', inv.canUse(id), () => inv.use(id));
+        for (const npc of inv.getRecipients()) {
+            addAction(`Donner à ${this.npcManager.getName(npc.id)}`, true, () => inv.give(id, npc.id));
+        }
+        for (const other of items) {
+            if (other.id === id) continue;
+            addAction(`Combiner avec ${inv.getName(other.id)}`, true, () => inv.combine(id, other.id));
+        }
+    }
+
+    /** Affiche dans #npc-info les PNJs presents sur la tuile du joueur. */
+    _updateNPCPanel() {
+        const panel = document.getElementById('npc-info');
+        if (!panel) return;
+
+        const { position } = this.stateManager.getState().player;
+        const npcs = this.npcManager.getNPCsAt(position.q, position.r);
+        if (npcs.length === 0) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const nameOf = npc => npc.met ? this.npcManager.getName(npc.id) : 'Silhouette inconnue';
+        document.getElementById('npc-name').textContent = npcs.map(nameOf).join(', ');
+
+        const trustEl = document.getElementById('npc-trust');
+        trustEl.innerHTML = '';
+        for (const npc of npcs) {
+            const row = document.createElement('div');
+            row.className = 'npc-trust-row';
+            row.textContent = npc.met
+                ? `${nameOf(npc)} — ${this.npcManager.getTrustLabel(npc.trust)} (${npc.trust > 0 ? '+' : ''}${npc.trust})`
+                : 'Quelqu\'un vous observe. Approchez-vous.';
+            trustEl.appendChild(row);
+
+            const secrets = this.npcManager.getDefinition(npc.id)?.secrets ?? {};
+            for (const secretId of npc.secrets) {
+                const secret = document.createElement('div');
+                secret.className = 'npc-secret';
+                secret.textContent = secrets[secretId] ?? secretId;
+                trustEl.appendChild(secret);
+            }
+        }
+        panel.classList.remove('hidden');
+    }
+
+    /**
+     * Ajoute un filtre applique a chaque dialogue avant affichage.
+     * Un filtre recoit et renvoie { speaker, text, choices } ; chaque choix
+     * affiche porte dans `index` la position du choix reellement joue.
+     * @param {Function} filter - (view) => view
+     */
+    addDialogueFilter(filter) {
+        this._dialogueFilters.push(filter);
+    }
+
+    /** Passe un dialogue dans les filtres ; le joueur garde toujours un choix jouable. */
+    _filterDialogue(speaker, text, choices) {
+        const original = {
+            speaker, text,
+            choices: choices.map((choice, index) => ({ text: choice.text, disabled: choice.disabled, index })),
+        };
+        let view = original;
+        for (const filter of this._dialogueFilters) view = filter(view) ?? view;
+        return view.choices.some(c => !c.disabled) ? view : original;
+    }
+
+    /** Consigne un dialogue altere (version lue et version reelle) pour le recapitulatif. */
+    _recordDistortion(view, real, shown) {
+        const altered = view.speaker !== real.speaker || view.text !== real.text
+            || view.choices.length !== real.choices.length
+            || view.choices.some(c => c.text !== real.choices[c.index].text);
+        if (!altered) return;
+
+        this.stateManager.dispatch({ type: 'RECORD_DISTORTION', payload: {
+            speaker:   real.speaker,
+            text:      real.text,
+            choices:   real.choices.map(c => c.text),
+            displayed: view.choices.map(c => c.text),
+            read:      shown.text,
+            picked:    real.choices[shown.index].text,
+        } });
+    }
+
     showDialogue({ speaker, text, choices, onChoice }) {
+        // Partie terminee par un effet : la conversation ne reprend pas
+        if (this.stateManager.getState().gameOver) return;
         this.isDialogueActive = true;
+        const view = this._filterDialogue(speaker, text, choices);
         const box       = document.getElementById('dialogue-box');
         const speakerEl = document.getElementById('dialogue-speaker');
         const textEl    = document.getElementById('dialogue-text');
         const choicesEl = document.getElementById('dialogue-choices');
 
-        speakerEl.textContent = speaker;
+        speakerEl.textContent = view.speaker;
         textEl.textContent    = '';
         choicesEl.innerHTML   = '';
         box.classList.remove('hidden');
 
         const renderChoices = () => {
-            choices.forEach((choice, index) => {
+            view.choices.forEach((shown) => {
+                const choice = choices[shown.index];
                 const btn = document.createElement('button');
                 btn.className   = 'dialogue-choice';
-                btn.textContent = choice.text;
-                if (choice.disabled) {
+                btn.textContent = shown.text;
+                if (shown.disabled) {
                     btn.disabled = true;
                     btn.classList.add('disabled');
                 }
                 btn.addEventListener('click', () => {
+                    this._recordDistortion(view, { speaker, text, choices }, shown);
                     if (choice.effects) this._applyChoiceEffects(choice.effects);
-                    if (onChoice) onChoice(index);
+                    if (this.stateManager.getState().gameOver) return;
+                    if (onChoice) onChoice(shown.index);
                 });
                 choicesEl.appendChild(btn);
             });
         };
 
         // Effet machine à écrire
+        const displayed = view.text;
         let charIndex = 0;
         const typeInterval = setInterval(() => {
-            if (charIndex < text.length) {
-                textEl.textContent += text[charIndex++];
+            if (charIndex < displayed.length) {
+                textEl.textContent += displayed[charIndex++];
             } else {
                 clearInterval(typeInterval);
                 renderChoices();
@@ -576,10 +1214,10 @@ class Game {
 
         // Clic pour sauter l'animation
         const skipHandler = () => {
-            if (charIndex < text.length) {
+            if (charIndex < displayed.length) {
                 clearInterval(typeInterval);
-                textEl.textContent = text;
-                charIndex = text.length;
+                textEl.textContent = displayed;
+                charIndex = displayed.length;
                 choicesEl.innerHTML = '';
                 renderChoices();
             }
@@ -594,23 +1232,61 @@ class Game {
         this.updateHUD();
     }
 
+    /**
+     * Applique un bloc d'effets declaratif (choix de dialogue, noeud, evenement).
+     * Cles reconnues : meetNpc, joinLighthouse, npcStatus, revealSecret,
+     * sanity, health, trust, flags, resources, items, journal, notify.
+     */
     _applyChoiceEffects(effects) {
         if (!effects) return;
+        if (effects.meetNpc)        this.npcManager.meet(effects.meetNpc);
+        if (effects.joinLighthouse) this.npcManager.joinLighthouse(effects.joinLighthouse);
+        if (effects.npcStatus) {
+            for (const [npcId, status] of Object.entries(effects.npcStatus)) {
+                this.npcManager.setStatus(npcId, status);
+            }
+        }
+        if (effects.revealSecret) {
+            this.npcManager.revealSecret(effects.revealSecret.npc, effects.revealSecret.secret);
+        }
         if (effects.sanity) {
             const { sanity } = this.stateManager.getState().player;
             this.stateManager.dispatch({ type: 'SET_SANITY', payload: { sanity: sanity + effects.sanity } });
         }
+        if (effects.health) {
+            const health = this.stateManager.getState().player.health ?? ResourceManager.MAX.health;
+            this.stateManager.dispatch({ type: 'SET_HEALTH', payload: { health: health + effects.health } });
+        }
         if (effects.trust) {
             for (const [npcId, amount] of Object.entries(effects.trust)) {
-                const s = this.stateManager.getState();
-                if (s.npcs[npcId]) {
-                    this.stateManager.dispatch({
-                        type: 'UPDATE_NPC',
-                        payload: { id: npcId, data: { trust: (s.npcs[npcId].trust || 0) + amount } }
-                    });
+                this.npcManager.adjustTrust(npcId, amount);
+            }
+        }
+        if (effects.flags) {
+            for (const [flag, value] of Object.entries(effects.flags)) {
+                this.stateManager.dispatch({ type: 'SET_FLAG', payload: { flag, value } });
+            }
+        }
+        if (effects.resources) {
+            for (const [resource, amount] of Object.entries(effects.resources)) {
+                this.stateManager.dispatch({ type: 'UPDATE_RESOURCE', payload: { resource, amount } });
+            }
+        }
+        if (effects.items) {
+            for (const [itemId, count] of Object.entries(effects.items)) {
+                for (let i = 0; i < Math.abs(count); i++) {
+                    if (count > 0) this.inventorySystem.add(itemId);
+                    else this.inventorySystem.remove(itemId);
                 }
             }
         }
+        if (effects.journal) {
+            this.stateManager.dispatch({ type: 'ADD_JOURNAL', payload: effects.journal });
+        }
+        if (effects.notify) {
+            this.showNotification(effects.notify.text, effects.notify.type ?? 'info');
+        }
+        if (effects.sanity < 0 || effects.health < 0) this._checkResourceGameOver();
     }
 
     showNotification(message, type = 'info') {
@@ -648,15 +1324,21 @@ class Game {
         const oil  = state.resources.oil;
         const food = state.resources.food;
         const san  = state.player.sanity;
+        const hp   = state.player.health ?? rm.getMax('health');
 
         document.getElementById('oil-value').textContent    = oil;
         document.getElementById('food-value').textContent   = food;
+        document.getElementById('health-value').textContent = hp;
         document.getElementById('sanity-value').textContent = san;
 
         document.getElementById('oil-fill').style.width    = `${rm.getPercent('oil', oil)}%`;
         document.getElementById('food-fill').style.width   = `${rm.getPercent('food', food)}%`;
+        document.getElementById('health-fill').style.width = `${rm.getPercent('health', hp)}%`;
         document.getElementById('sanity-fill').style.width = `${rm.getPercent('sanity', san)}%`;
 
+        // Couleur sante
+        document.getElementById('health-fill').classList.toggle('critical', hp <= 25);
+
         // Couleur sanite mentale
         const sanFill = document.getElementById('sanity-fill');
         sanFill.classList.remove('critical', 'low');
@@ -667,7 +1349,10 @@ class Game {
         const lighthouseStatus = document.getElementById('lighthouse-status');
         const lastNight = state.lighthouseLit[state.lighthouseLit.length - 1];
         if (lighthouseStatus) {
-            if (lastNight === true) {
+            lighthouseStatus.title = lastNight === undefined
+                ? 'État du phare cette nuit'
+                : `Dernière nuit : ${this.resourceManager.getIntensity(lastNight)?.name ?? 'phare éteint'}`;
+            if (lastNight) {
                 lighthouseStatus.classList.add('lit');
                 lighthouseStatus.classList.remove('dark');
                 document.getElementById('lighthouse-icon').textContent = '🔦';
@@ -682,34 +1367,46 @@ class Game {
         }
 
         // --- NPCs ---
-        const npcCount = Object.values(state.npcs).filter(n => n && n.alive).length;
+        const npcCount = this.npcManager.getAtLighthouse().length;
         const npcEl = document.getElementById('npc-count');
         if (npcEl) npcEl.textContent = npcCount;
+        this._updateNPCPanel();
+        this._updateInventoryPanel();
+        this._updateActionButtons();
+        this._updateLighthousePanel();
+        this._updateTidePanel();
 
         // --- Temps ---
         const phaseLabels = { dawn: 'Aube', day: 'Jour', dusk: 'Crépuscule', night: 'Nuit' };
         document.getElementById('day-display').textContent   = `Jour ${state.act}`;
         document.getElementById('phase-display').textContent = phaseLabels[state.phase] ?? state.phase;
+        const weatherEl = document.getElementById('weather-display');
+        if (weatherEl) weatherEl.textContent = this.weatherSystem.getCurrent().name;
 
         // --- Pips de déplacements ---
-        const totalMoves = this.timeManager.getMovesForAct(state.act);
+        const totalMoves = this.timeManager.getMovesForToday();
         const usedMoves  = totalMoves - state.movesRemaining;
         const pipsEl     = document.getElementById('moves-pips');
         const movesLabel = document.getElementById('moves-display');
         if (pipsEl) {
             pipsEl.innerHTML = '';
             for (let i = 0; i < totalMoves; i++) {
+                // Un sentier n'entame qu'une moitie de pip
+                const spent = Math.min(1, Math.max(0, usedMoves - i));
                 const pip = document.createElement('div');
-                pip.className = 'moves-pip' + (i < usedMoves ? ' used' : '');
+                pip.className = 'moves-pip' + (spent >= 1 ? ' used' : spent > 0 ? ' half' : '');
                 pipsEl.appendChild(pip);
             }
         }
         if (movesLabel) {
             movesLabel.textContent = state.movesRemaining > 0
-                ? `${state.movesRemaining} déplacement${state.movesRemaining > 1 ? 's' : ''}`
+                ? this._formatMoves(state.movesRemaining)
                 : 'Journée terminée';
         }
 
+        // --- Annulation du dernier déplacement ---
+        this._updateUndoButton();
+
         // --- Bouton fin de journée ---
         const btnEnd = document.getElementById('btn-end-day');
         if (btnEnd) {
@@ -723,7 +1420,7 @@ class Game {
         }
 
         // --- Effets de sante mentale sur le container ---
-        this.gameContainer.className = '';
+        this.gameContainer.className = this.isReplaying ? 'replaying' : '';
         if (san <= 25)      this.gameContainer.classList.add('sanity-critical');
         else if (san <= 50) this.gameContainer.classList.add('sanity-low');
         else if (san <= 75) this.gameContainer.classList.add('sanity-uneasy');
@@ -745,6 +1442,10 @@ class Game {
         this.isPaused = !this.isPaused;
         menu.classList.toggle('hidden');
         this.gameLoop.paused = this.isPaused;
+
+        // Graine de la partie, a joindre aux rapports de bugs (?seed=...)
+        const seedEl = document.getElementById('seed-display');
+        if (seedEl && this.isPaused) seedEl.textContent = `Graine : ${this.random.getSeed()}`;
     }
 
     toggleJournal() {
@@ -777,12 +1478,19 @@ class Game {
     }
 
     saveGame() {
+        if (this.isReplaying) return;   // la relecture n'ecrase pas la sauvegarde
         this.saveManager.save('save_1');
         this.showNotification('Partie sauvegardée.', 'info');
     }
 
     loadGame() {
+        if (this.isReplaying) return;
         if (this.saveManager.load('save_1')) {
+            this.undoStack.clear();
+            this._stopTravel();
+            this.dialogueEngine.cancel();
+            if (this.isDialogueActive) this.closeDialogue();
+            this.npcManager.init();
             this._restoreBoardFromState();
             this.updateHUD();
             this._updateValidMoves();
@@ -793,12 +1501,95 @@ class Game {
         }
     }
 
+    /** Telecharge le journal des actions de la partie (JSON rejouable). */
+    exportActionLog() {
+        const log  = this.stateManager.getActionLog();
+        const blob = new Blob([JSON.stringify(log)], { type: 'application/json' });
+        const url  = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href     = url;
+        link.download = `le-dernier-phare-${log.seed ?? 'partie'}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        this.showNotification(`Partie exportée (${log.actions.length} actions).`, 'info');
+    }
+
+    // =========================================================================
+    // Relecture
+    // =========================================================================
+
+    _readReplayFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.startReplay(JSON.parse(reader.result));
+            } catch (e) {
+                console.error('[Game] Journal illisible :', e);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Recharge l'etat de depart d'un journal et le rejoue action par action.
+     * Seul l'etat est rejoue : aucun dialogue, evenement ni tirage n'est relance.
+     * @param {Object} log — Journal exporte (StateManager.getActionLog)
+     */
+    startReplay(log) {
+        this.replayPlayer = new ReplayPlayer(this.stateManager);
+        this.replayPlayer.setCallbacks({
+            onStep: () => {
+                this._restoreBoardFromState();
+                this._updateReplayBar();
+            },
+            onEnd:  () => {
+                this._updateReplayBar();
+                this.showNotification('Fin de la relecture.', 'info');
+            },
+        });
+        this.replayPlayer.setSpeed(document.getElementById('replay-speed').value);
+
+        this.board.reset();
+        if (!this.replayPlayer.load(log)) {
+            this.showNotification('Journal de partie invalide.', 'warning');
+            return;
+        }
+        this.isReplaying = true;
+        this._restoreBoardFromState();
+
+        this.titleScreen.classList.add('hidden');
+        this.gameContainer.classList.remove('hidden');
+        document.getElementById('replay-bar').classList.remove('hidden');
+        setTimeout(() => {
+            this.renderer.resize();
+            this.inputHandler.resetView();
+        }, 50);
+
+        this.gameLoop.start();
+        this.updateHUD();
+        this._updateReplayBar();
+    }
+
+    _updateReplayBar() {
+        const player = this.replayPlayer;
+        if (!player) return;
+        document.getElementById('replay-progress').textContent = `${player.index} / ${player.total}`;
+        document.getElementById('btn-replay-toggle').innerHTML = player.playing ? '&#10074;&#10074;' : '&#9654;';
+    }
+
     quitToTitle() {
+        this._stopTravel();
         this.gameLoop.stop();
         this.gameContainer.classList.add('hidden');
         this.titleScreen.classList.remove('hidden');
         this.isPaused = false;
+        // Le plateau rejoue ne doit pas deborder sur la prochaine partie chargee
+        if (this.isReplaying) this.board.reset();
+        this.isReplaying = false;
+        this.replayPlayer = null;
+        document.getElementById('replay-bar').classList.add('hidden');
         document.getElementById('pause-menu').classList.add('hidden');
+        document.getElementById('ending-screen').classList.add('hidden');
     }
 }
 
@@ -0,0 +1,148 @@
+/**
+ * Conditions.js — Le Dernier Phare
+ *
+ * Evaluation des conditions declaratives partagees par les dialogues
+ * et les evenements. Une condition est un objet simple, toutes les cles
+ * presentes doivent etre satisfaites :
+ *
+ *   {
+ *     flags:  { marin_found: true, cliff_vision: false },  // false = flag absent
+ *     items:  { pied_de_biche: true, idole_de_jade: false }, // objets possedes ou non
+ *     act:    { min: 2, max: 4 },
+ *     sanity: { min: 0, max: 50 },
+ *     trust:  { marin: { min: 2 } },
+ *     npcs:   { marin: { met: true, status: ['alive', 'at_lighthouse'], secrets: ['morrigane'] } },
+ *     lighthouse: { lit: { min: 3 }, dark: { max: 1 }, last: true,      // historique des nuits
+ *                   level: 'signal', levels: { full: { min: 2 } } },  // intensites (derniere, cumul)
+ *     survivors:  { min: 2 },   // PNJs rencontres, ni morts ni disparus
+ *     sheltered:  { min: 1 },   // PNJs abrites au phare
+ *     hallucinations: { followed: { min: 1 } },  // fausses notes du journal suivies
+ *     upgrades: { porte_renforcee: false },       // ameliorations du phare construites
+ *   }
+ */
+
+import { NPC_STATUS } from './NPCManager.js';
+
+/**
+ * Verifie qu'une valeur numerique respecte des bornes { min, max }.
+ * @param {number} value
+ * @param {{ min?: number, max?: number }} range
+ * @returns {boolean}
+ */
+export function inRange(value, range) {
+    if (!range) return true;
+    if (range.min !== undefined && value < range.min) return false;
+    if (range.max !== undefined && value > range.max) return false;
+    return true;
+}
+
+/**
+ * Evalue un bloc de conditions contre l'etat courant.
+ * @param {Object|null|undefined} conditions
+ * @param {Object} state - Etat du StateManager
+ * @returns {boolean} true si toutes les conditions sont remplies (ou absentes)
+ */
+export function checkConditions(conditions, state) {
+    if (!conditions) return true;
+
+    if (conditions.flags) {
+        for (const [flag, expected] of Object.entries(conditions.flags)) {
+            if (Boolean(state.player.flags[flag]) !== Boolean(expected)) return false;
+        }
+    }
+
+    if (conditions.items) {
+        for (const [itemId, expected] of Object.entries(conditions.items)) {
+            if (state.player.inventory.includes(itemId) !== Boolean(expected)) return false;
+        }
+    }
+
+    if (conditions.act && !inRange(state.act, conditions.act)) return false;
+    if (conditions.sanity && !inRange(state.player.sanity, conditions.sanity)) return false;
+
+    if (conditions.trust) {
+        for (const [npcId, range] of Object.entries(conditions.trust)) {
+            const npc = state.npcs[npcId];
+            if (!npc || !inRange(npc.trust || 0, range)) return false;
+        }
+    }
+
+    if (conditions.npcs) {
+        for (const [npcId, expected] of Object.entries(conditions.npcs)) {
+            if (!checkNPC(state.npcs[npcId], expected)) return false;
+        }
+    }
+
+    if (conditions.lighthouse && !checkLighthouse(state.lighthouseLit, conditions.lighthouse)) return false;
+
+    const npcs = Object.values(state.npcs).filter(Boolean);
+    if (conditions.survivors) {
+        const count = npcs.filter(npc => npc.met
+            && npc.status !== NPC_STATUS.DEAD && npc.status !== NPC_STATUS.MISSING).length;
+        if (!inRange(count, conditions.survivors)) return false;
+    }
+    if (conditions.sheltered) {
+        const count = npcs.filter(npc => npc.status === NPC_STATUS.AT_LIGHTHOUSE).length;
+        if (!inRange(count, conditions.sheltered)) return false;
+    }
+
+    if (conditions.upgrades) {
+        const built = state.lighthouse?.upgrades ?? [];
+        for (const [upgradeId, expected] of Object.entries(conditions.upgrades)) {
+            if (built.includes(upgradeId) !== Boolean(expected)) return false;
+        }
+    }
+
+    if (conditions.hallucinations?.followed) {
+        const count = state.player.journal.filter(entry => entry.hallucination && entry.followed).length;
+        if (!inRange(count, conditions.hallucinations.followed)) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Verifie l'historique des nuits : nombre de nuits allumees/eteintes, derniere
+ * nuit, intensites choisies.
+ * @param {Array<string|boolean>} history - state.lighthouseLit (intensite ou false ;
+ *                                          true pour les anciennes sauvegardes)
+ * @param {{ lit?: Object, dark?: Object, last?: boolean, level?: string|string[],
+ *           levels?: Object<string, Object> }} expected
+ * @returns {boolean}
+ */
+function checkLighthouse(history, expected) {
+    const lit = history.filter(Boolean).length;
+    if (!inRange(lit, expected.lit)) return false;
+    if (!inRange(history.length - lit, expected.dark)) return false;
+
+    const last = history[history.length - 1];
+    if (expected.last !== undefined && Boolean(last) !== expected.last) return false;
+
+    const levelOf = night => night === true ? 'normal' : night;
+    if (expected.level !== undefined) {
+        const allowed = Array.isArray(expected.level) ? expected.level : [expected.level];
+        if (!allowed.includes(levelOf(last))) return false;
+    }
+    for (const [level, range] of Object.entries(expected.levels ?? {})) {
+        if (!inRange(history.filter(night => levelOf(night) === level).length, range)) return false;
+    }
+    return true;
+}
+
+/**
+ * Verifie l'etat d'un PNJ : rencontre, statut (valeur ou liste), secrets connus.
+ * @param {Object|undefined} npc - Entree de state.npcs
+ * @param {{ met?: boolean, status?: string|string[], secrets?: string[] }} expected
+ * @returns {boolean}
+ */
+function checkNPC(npc, expected) {
+    if (expected.met !== undefined && Boolean(npc?.met) !== expected.met) return false;
+    if (expected.status !== undefined) {
+        const allowed = Array.isArray(expected.status) ? expected.status : [expected.status];
+        if (!npc || !allowed.includes(npc.status)) return false;
+    }
+    if (expected.secrets) {
+        if (!npc || !expected.secrets.every(id => npc.secrets?.includes(id))) return false;
+    }
+    return true;
+}
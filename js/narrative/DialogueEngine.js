@@ -0,0 +1,256 @@
+/**
+ * DialogueEngine.js — Le Dernier Phare
+ *
+ * Moteur de dialogues pilote par les donnees (js/data/dialogues.js).
+ * Un arbre est un ensemble de noeuds relies par leurs choix ; le moteur
+ * filtre les choix selon les conditions, applique les effets et pilote
+ * la boite #dialogue-box via les callbacks injectes par main.js.
+ *
+ * Format d'un arbre :
+ *   {
+ *     start: 'intro',
+ *     conditions: { ... },            // optionnel, cf. Conditions.js
+ *     nodes: {
+ *       intro: {
+ *         speaker: 'Narrateur',
+ *         text: '...',
+ *         effects: { ... },           // appliques a l'entree du noeud
+ *         next: 'suite',              // noeud sans choix : bouton "Continuer"
+ *         choices: [
+ *           { text: '...', next: 'suite', effects: { ... },
+ *             conditions: { ... }, showLocked: true },
+ *         ],
+ *       },
+ *     },
+ *   }
+ * Un choix (ou un noeud) sans `next` termine le dialogue.
+ */
+
+import { checkConditions } from './Conditions.js';
+
+export class DialogueEngine {
+
+    /** Texte du choix implicite pour les noeuds lineaires */
+    static DEFAULT_CHOICE_TEXT = 'Continuer';
+
+    constructor(stateManager) {
+        this._sm    = stateManager;
+        this._trees = new Map();
+
+        /** Conversation en cours : { treeId, nodeId, onEnd } */
+        this._active = null;
+
+        // Callbacks injectés par main.js pour l'affichage
+        this._callbacks = {
+            showDialogue:  null,  // (config) => void
+            closeDialogue: null,  // () => void
+            applyEffects:  null,  // (effects) => void
+        };
+    }
+
+    // -------------------------------------------------------------------------
+    // Configuration
+
+    /**
+     * Enregistre les callbacks (appelé par main.js au démarrage).
+     * @param {Object} callbacks
+     */
+    setCallbacks(callbacks) {
+        Object.assign(this._callbacks, callbacks);
+    }
+
+    /**
+     * Charge et valide un ensemble d'arbres de dialogue.
+     * Les arbres invalides (erreurs) sont ignores ; les noeuds
+     * inaccessibles ne font qu'emettre un avertissement.
+     * @param {Object<string, Object>} trees
+     * @returns {Array<{ id: string, errors: string[], unreachable: string[] }>}
+     */
+    load(trees) {
+        const reports = [];
+        for (const [id, tree] of Object.entries(trees)) {
+            const report = DialogueEngine.validate(id, tree);
+            reports.push(report);
+
+            for (const error of report.errors) {
+                console.error(`[DialogueEngine] ${id} : ${error}`);
+            }
+            if (report.unreachable.length > 0) {
+                console.warn(`[DialogueEngine] ${id} : noeuds inaccessibles (${report.unreachable.join(', ')})`);
+            }
+            if (report.errors.length === 0) this._trees.set(id, tree);
+        }
+        return reports;
+    }
+
+    has(id) {
+        return this._trees.has(id);
+    }
+
+    isActive() {
+        return this._active !== null;
+    }
+
+    // -------------------------------------------------------------------------
+    // Déroulement
+
+    /**
+     * Indique si un dialogue peut demarrer (existe et conditions remplies).
+     * @param {string} id
+     * @returns {boolean}
+     */
+    canStart(id) {
+        const tree = this._trees.get(id);
+        return !!tree && checkConditions(tree.conditions, this._sm.getState());
+    }
+
+    /**
+     * Demarre un dialogue.
+     * @param {string} id - Identifiant de l'arbre
+     * @param {Object} [options]
+     * @param {string} [options.node] - Noeud de depart (defaut : tree.start)
+     * @param {Function} [options.onEnd] - Appele a la fermeture du dialogue
+     * @returns {boolean} false si le dialogue est inconnu, indisponible,
+     *   si un autre dialogue est en cours ou si le noeud de depart n'existe pas
+     */
+    start(id, { node, onEnd } = {}) {
+        if (!this.has(id)) {
+            console.warn(`[DialogueEngine] Dialogue inconnu : ${id}`);
+            return false;
+        }
+        if (this.isActive() || !this.canStart(id)) return false;
+
+        const tree = this._trees.get(id);
+        if (node !== undefined && !(node in tree.nodes)) {
+            console.warn(`[DialogueEngine] Noeud inconnu : ${id}.${node}`);
+            return false;
+        }
+        this._active = { treeId: id, nodeId: null, onEnd: onEnd ?? null };
+        this._enterNode(node ?? tree.start);
+        return true;
+    }
+
+    _enterNode(nodeId) {
+        const tree = this._trees.get(this._active.treeId);
+        const node = tree.nodes[nodeId];
+        this._active.nodeId = nodeId;
+
+        if (node.effects) this._callbacks.applyEffects?.(node.effects);
+
+        const choices = this._buildChoices(node);
+
+        this._callbacks.showDialogue?.({
+            speaker: node.speaker,
+            text:    node.text,
+            choices,
+            onChoice: (index) => {
+                const next = choices[index]?.next;
+                if (next) this._enterNode(next);
+                else this._end();
+            }
+        });
+    }
+
+    /**
+     * Construit la liste de choix affichables d'un noeud.
+     * Les choix dont les conditions echouent sont masques, ou grises
+     * s'ils portent `showLocked`.
+     */
+    _buildChoices(node) {
+        if (!node.choices || node.choices.length === 0) {
+            return [{ text: DialogueEngine.DEFAULT_CHOICE_TEXT, next: node.next ?? null, effects: {} }];
+        }
+
+        const state   = this._sm.getState();
+        const choices = [];
+        for (const choice of node.choices) {
+            const available = checkConditions(choice.conditions, state);
+            if (!available && !choice.showLocked) continue;
+            choices.push({
+                text:     available ? choice.text : (choice.lockedText ?? choice.text),
+                next:     choice.next ?? null,
+                effects:  available ? (choice.effects ?? {}) : {},
+                disabled: !available,
+            });
+        }
+
+        // Filet de securite : ne jamais laisser le joueur sans issue
+        if (!choices.some(c => !c.disabled)) {
+            choices.push({ text: '…', next: null, effects: {} });
+        }
+        return choices;
+    }
+
+    /**
+     * Abandonne la conversation en cours sans appeler son onEnd (fin de
+     * partie, chargement d'une sauvegarde).
+     */
+    cancel() {
+        this._active = null;
+    }
+
+    _end() {
+        const onEnd = this._active?.onEnd;
+        this._active = null;
+        this._callbacks.closeDialogue?.();
+        onEnd?.();
+    }
+
+    // -------------------------------------------------------------------------
+    // Validation
+
+    /**
+     * Valide la structure d'un arbre : noeud de depart, references
+     * pendantes, noeuds incomplets et noeuds inaccessibles.
+     * @param {string} id
+     * @param {Object} tree
+     * @returns {{ id: string, errors: string[], unreachable: string[] }}
+     */
+    static validate(id, tree) {
+        const errors = [];
+        const nodes  = tree?.nodes ?? {};
+
+        if (!tree || !tree.nodes) {
+            return { id, errors: ['aucun noeud defini'], unreachable: [] };
+        }
+        if (!nodes[tree.start]) {
+            errors.push(`noeud de depart introuvable "${tree.start}"`);
+        }
+
+        for (const [nodeId, node] of Object.entries(nodes)) {
+            if (!node.speaker || !node.text) {
+                errors.push(`noeud "${nodeId}" sans speaker ou texte`);
+            }
+            for (const target of DialogueEngine._targetsOf(node)) {
+                if (!nodes[target]) {
+                    errors.push(`noeud "${nodeId}" renvoie vers "${target}" qui n'existe pas`);
+                }
+            }
+        }
+
+        // Parcours en largeur depuis le noeud de depart
+        const reached = new Set();
+        const queue   = nodes[tree.start] ? [tree.start] : [];
+        while (queue.length > 0) {
+            const nodeId = queue.shift();
+            if (reached.has(nodeId)) continue;
+            reached.add(nodeId);
+            for (const target of DialogueEngine._targetsOf(nodes[nodeId])) {
+                if (nodes[target] && !reached.has(target)) queue.push(target);
+            }
+        }
+        const unreachable = Object.keys(nodes).filter(nodeId => !reached.has(nodeId));
+
+        return { id, errors, unreachable };
+    }
+
+    /** Identifiants des noeuds cibles d'un noeud (next + choix). */
+    static _targetsOf(node) {
+        const targets = [];
+        if (node.next) targets.push(node.next);
+        for (const choice of node.choices ?? []) {
+            if (choice.next) targets.push(choice.next);
+        }
+        return targets;
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * EndingResolver.js — Le Dernier Phare
+ *
+ * Choisit la fin de partie parmi la liste declarative de data/endings.js
+ * (flags, confiance et sort des PNJs, historique du phare, sante mentale)
+ * et construit le recapitulatif affiche sur l'ecran de fin.
+ */
+
+import { ENDINGS, RECAP_CHOICES } from '../data/endings.js';
+import { checkConditions } from './Conditions.js';
+import { NPC_STATUS } from './NPCManager.js';
+
+export class EndingResolver {
+
+    /** Raison de fin par defaut (les cinq jours ont ete vecus) */
+    static DEFAULT_REASON = 'complete';
+
+    /** Libelles du sort de chaque PNJ dans le recapitulatif */
+    static FATE_LABELS = {
+        [NPC_STATUS.ALIVE]:         'Livré à lui-même',
+        [NPC_STATUS.AT_LIGHTHOUSE]: 'Abrité au phare',
+        [NPC_STATUS.MISSING]:       'Disparu',
+        [NPC_STATUS.DEAD]:          'Mort',
+    };
+
+    /**
+     * @param {StateManager} stateManager
+     * @param {NPCManager} npcManager
+     * @param {Array<Object>} [endings]
+     */
+    constructor(stateManager, npcManager, endings = ENDINGS) {
+        this._sm      = stateManager;
+        this._npcs    = npcManager;
+        this._endings = endings;
+        EndingResolver.validate(endings);
+    }
+
+    /**
+     * Premiere fin dont la raison et les conditions correspondent.
+     * @param {string} [reason] - 'complete' ou raison de game over ('sanity'...)
+     * @returns {Object} Fin retenue
+     */
+    resolve(reason = EndingResolver.DEFAULT_REASON) {
+        const state = this._sm.getState();
+        const candidates = this._endings.filter(ending =>
+            (ending.reason ?? EndingResolver.DEFAULT_REASON) === reason);
+
+        const ending = candidates.find(e => checkConditions(e.conditions, state));
+        if (ending) return ending;
+
+        console.warn(`[EndingResolver] Aucune fin pour la raison "${reason}"`);
+        return candidates[candidates.length - 1] ?? this._endings[this._endings.length - 1];
+    }
+
+    /**
+     * Recapitulatif de la partie pour l'ecran de fin.
+     * @returns {{ days: number, sanity: number, nights: Array<string|boolean>, npcs: Array<Object>,
+     *            choices: string[], hallucinations: { written: number, followed: number },
+     *            distortions: Array<{ act: number, read: string, picked: string, hidden: string[] }> }}
+     */
+    buildRecap() {
+        const state = this._sm.getState();
+
+        const npcs = this._npcs.getAll()
+            .filter(npc => npc.met)
+            .map(npc => ({
+                name:    this._npcs.getName(npc.id),
+                fate:    EndingResolver.FATE_LABELS[npc.status] ?? npc.status,
+                trust:   this._npcs.getTrustLabel(npc.trust),
+                secrets: npc.secrets.length,
+            }));
+
+        const choices = Object.entries(RECAP_CHOICES)
+            .filter(([flag]) => state.player.flags[flag])
+            .map(([, text]) => text);
+
+        const falseNotes = state.player.journal.filter(entry => entry.hallucination);
+
+        // Dialogues alteres : choix lu, choix reellement joue, choix escamotes
+        const distortions = (state.player.distortions ?? []).map(d => ({
+            act:    d.act,
+            read:   d.read,
+            picked: d.picked,
+            hidden: d.choices.filter(text => !d.displayed.includes(text)),
+        }));
+
+        return {
+            days:    state.act,
+            sanity:  state.player.sanity,
+            nights:  [...state.lighthouseLit],
+            npcs,
+            choices,
+            hallucinations: {
+                written:  falseNotes.length,
+                followed: falseNotes.filter(entry => entry.followed).length,
+            },
+            distortions,
+        };
+    }
+
+    /**
+     * Chaque raison de fin doit se terminer par une fin sans condition.
+     * @param {Array<Object>} endings
+     * @returns {string[]} Raisons sans fin par defaut
+     */
+    static validate(endings) {
+        const reasons = new Set(endings.map(e => e.reason ?? EndingResolver.DEFAULT_REASON));
+        const missing = [...reasons].filter(reason => {
+            const list = endings.filter(e => (e.reason ?? EndingResolver.DEFAULT_REASON) === reason);
+            return list[list.length - 1].conditions !== undefined;
+        });
+        for (const reason of missing) {
+            console.warn(`[EndingResolver] La derniere fin "${reason}" devrait etre sans condition`);
+        }
+        return missing;
+    }
+}
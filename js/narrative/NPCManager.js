@@ -0,0 +1,323 @@
+/**
+ * NPCManager.js — Le Dernier Phare
+ *
+ * Proprietaire de l'etat des PNJs (state.npcs) : acte d'apparition,
+ * tuile courante, statut, confiance et secrets connus du joueur.
+ * Fournit les requetes utilisees par les dialogues, le HUD et les fins.
+ * Deplace aussi les PNJs selon leur emploi du temps a chaque changement
+ * de phase (voir schedule dans data/npcs.js).
+ */
+
+import { NPC_DEFINITIONS } from '../data/npcs.js';
+import { NPC_SPAWN_LOCATIONS } from '../data/island-map.js';
+
+/** Statuts possibles d'un PNJ */
+export const NPC_STATUS = Object.freeze({
+    ABSENT:        'absent',         // pas encore arrive sur l'ile
+    ALIVE:         'alive',          // sur l'ile, livre a lui-meme
+    AT_LIGHTHOUSE: 'at_lighthouse',  // abrite au phare
+    MISSING:       'missing',
+    DEAD:          'dead',
+});
+
+export class NPCManager {
+
+    /** Bornes de la confiance */
+    static TRUST_MIN = -5;
+    static TRUST_MAX = 5;
+
+    /** Position du phare, ou se tiennent les PNJs abrites */
+    static LIGHTHOUSE_POSITION = { q: 0, r: 0 };
+
+    /** Nombre de tuiles parcourues par un PNJ a chaque changement de phase */
+    static STEPS_PER_PHASE = { dawn: 2, day: 3, dusk: 2, night: 2 };
+
+    /**
+     * @param {StateManager} stateManager
+     * @param {Random} random - Tirages de la partie (destinations d'errance)
+     */
+    constructor(stateManager, random) {
+        this._sm     = stateManager;
+        this._random = random;
+
+        // Plateau et pathfinding, injectes par main.js une fois le plateau cree
+        this._board      = null;
+        this._pathFinder = null;
+    }
+
+    /**
+     * Fournit le plateau utilise pour les deplacements autonomes.
+     * @param {Board} board
+     * @param {PathFinder} pathFinder
+     */
+    setBoard(board, pathFinder) {
+        this._board      = board;
+        this._pathFinder = pathFinder;
+    }
+
+    // -------------------------------------------------------------------------
+    // Initialisation
+
+    /**
+     * Cree l'entree de chaque PNJ dans le state s'il n'existe pas encore.
+     * Complete aussi les entrees des anciennes sauvegardes ({ arrived, trust, alive }).
+     */
+    init() {
+        const state = this._sm.getState();
+        for (const [id, spawn] of Object.entries(NPC_SPAWN_LOCATIONS)) {
+            const existing = state.npcs[id];
+            if (existing && existing.status) continue;
+
+            const data = {
+                id,
+                spawnAct: spawn.act,
+                position: null,
+                status:   NPC_STATUS.ABSENT,
+                met:      false,
+                trust:    0,
+                secrets:  [],
+            };
+            // Ancien format : PNJ rencontre = abrite au phare
+            if (existing) {
+                Object.assign(data, {
+                    met:      true,
+                    trust:    existing.trust ?? 0,
+                    status:   existing.alive === false ? NPC_STATUS.DEAD : NPC_STATUS.AT_LIGHTHOUSE,
+                    position: { ...NPCManager.LIGHTHOUSE_POSITION },
+                });
+            }
+            this._update(id, data);
+        }
+    }
+
+    /**
+     * Fait apparaitre sur leur tuile les PNJs dont l'acte est arrive.
+     * @param {number} act
+     * @returns {string[]} Identifiants des PNJs nouvellement arrives
+     */
+    spawnArrivals(act) {
+        const arrived = [];
+        for (const npc of this.getAll()) {
+            if (npc.status !== NPC_STATUS.ABSENT || npc.spawnAct > act) continue;
+            const spawn = NPC_SPAWN_LOCATIONS[npc.id];
+            this._update(npc.id, { status: NPC_STATUS.ALIVE, position: { q: spawn.q, r: spawn.r } });
+            arrived.push(npc.id);
+        }
+        return arrived;
+    }
+
+    // -------------------------------------------------------------------------
+    // Requêtes
+
+    get(id) {
+        return this._sm.getState().npcs[id] ?? null;
+    }
+
+    getAll() {
+        return Object.values(this._sm.getState().npcs).filter(Boolean);
+    }
+
+    /** Nom affichable d'un PNJ */
+    getName(id) {
+        return NPC_DEFINITIONS[id]?.name ?? id;
+    }
+
+    getDefinition(id) {
+        return NPC_DEFINITIONS[id] ?? null;
+    }
+
+    /**
+     * PNJs physiquement presents sur une tuile.
+     * @returns {Array<Object>}
+     */
+    getNPCsAt(q, r) {
+        return this.getAll().filter(npc => NPCManager.isOnBoard(npc)
+            && npc.position.q === q && npc.position.r === r);
+    }
+
+    /** PNJs abrites au phare */
+    getAtLighthouse() {
+        return this.getAll().filter(npc => npc.status === NPC_STATUS.AT_LIGHTHOUSE);
+    }
+
+    /** PNJs rencontres et toujours en vie (y compris disparus) */
+    getSurvivors() {
+        return this.getAll().filter(npc => npc.met && npc.status !== NPC_STATUS.DEAD);
+    }
+
+    isAlive(id) {
+        const npc = this.get(id);
+        return !!npc && npc.status !== NPC_STATUS.DEAD;
+    }
+
+    knowsSecret(id, secretId) {
+        return this.get(id)?.secrets.includes(secretId) ?? false;
+    }
+
+    /**
+     * Libelle de confiance affiche dans le panneau lateral.
+     * @param {number} trust
+     * @returns {string}
+     */
+    getTrustLabel(trust) {
+        if (trust <= -3) return 'Hostile';
+        if (trust < 0)   return 'Méfiant';
+        if (trust === 0) return 'Neutre';
+        if (trust <= 2)  return 'Cordial';
+        return 'Confiant';
+    }
+
+    /** Un PNJ est-il visible sur le plateau (arrive, ni mort ni disparu) ? */
+    static isOnBoard(npc) {
+        return !!npc && !!npc.position
+            && (npc.status === NPC_STATUS.ALIVE || npc.status === NPC_STATUS.AT_LIGHTHOUSE);
+    }
+
+    // -------------------------------------------------------------------------
+    // Emplois du temps
+
+    /**
+     * Fait avancer chaque PNJ present sur l'ile vers l'objectif de la phase.
+     * Appele par TimeManager a chaque changement de phase.
+     * @param {string} phase - 'dawn' | 'day' | 'dusk' | 'night'
+     * @returns {string[]} Identifiants des PNJs qui ont change de tuile
+     */
+    advanceSchedules(phase) {
+        if (!this._pathFinder) return [];
+        const steps = NPCManager.STEPS_PER_PHASE[phase] ?? 0;
+        const moved = [];
+
+        for (const npc of this.getAll()) {
+            if (!NPCManager.isOnBoard(npc)) continue;
+            const target = this._resolveGoal(npc, this.getScheduledGoal(npc.id, phase));
+            if (!target) continue;
+
+            const path = this._findPathNear(npc.position, target);
+            if (!path || path.length < 2) continue;
+
+            const stop = path[Math.min(steps, path.length - 1)];
+            this._update(npc.id, { position: { q: stop.q, r: stop.r } });
+            moved.push(npc.id);
+        }
+        return moved;
+    }
+
+    /**
+     * Objectif d'un PNJ pour une phase de l'acte courant.
+     * @param {string} id
+     * @param {string} phase
+     * @returns {string|Object} "stay", "home", "lighthouse", { q, r } ou { wander }
+     */
+    getScheduledGoal(id, phase) {
+        const npc      = this.get(id);
+        const schedule = NPC_DEFINITIONS[id]?.schedule;
+        if (!npc) return 'stay';
+
+        // Un PNJ abrite passe toujours la nuit au phare
+        if (npc.status === NPC_STATUS.AT_LIGHTHOUSE && phase === 'night') return 'lighthouse';
+        if (!schedule) return 'stay';
+
+        if (!npc.met && schedule.unmet) return schedule.unmet[phase] ?? 'stay';
+
+        const { act } = this._sm.getState();
+        return { ...schedule.default, ...schedule[act] }[phase] ?? 'stay';
+    }
+
+    /**
+     * Convertit un objectif d'emploi du temps en tuile cible.
+     * @returns {{ q: number, r: number }|null} null si le PNJ ne bouge pas
+     */
+    _resolveGoal(npc, goal) {
+        if (goal === 'stay') return null;
+        if (goal === 'lighthouse') return NPCManager.LIGHTHOUSE_POSITION;
+        if (goal === 'home') return NPC_SPAWN_LOCATIONS[npc.id];
+        if (goal?.wander) return this._pickWanderTarget(npc, goal.wander);
+        if (goal && goal.q !== undefined && goal.r !== undefined) return goal;
+
+        console.warn(`[NPCManager] Objectif inconnu pour ${npc.id} :`, goal);
+        return null;
+    }
+
+    /**
+     * Choisit une tuile atteignable du type donne, autre que la tuile courante.
+     * @returns {{ q: number, r: number }|null}
+     */
+    _pickWanderTarget(npc, type) {
+        const { q, r } = npc.position;
+        const candidates = this._board.getTilesByType(type)
+            .filter(tile => !(tile.q === q && tile.r === r))
+            .filter(tile => this._pathFinder.findPath(q, r, tile.q, tile.r));
+        if (candidates.length === 0) return null;
+
+        const tile = this._random.pick(candidates);
+        return { q: tile.q, r: tile.r };
+    }
+
+    /**
+     * Chemin vers la cible ; si elle est infranchissable (sanctuaire bloque,
+     * grotte inondee...), le PNJ s'arrete sur la tuile voisine la plus proche.
+     * @returns {Array<{ q: number, r: number }>|null}
+     */
+    _findPathNear(from, target) {
+        const direct = this._pathFinder.findPath(from.q, from.r, target.q, target.r);
+        if (direct) return direct;
+
+        let best = null;
+        for (const tile of this._board.getNeighbors(target.q, target.r)) {
+            const path = this._pathFinder.findPath(from.q, from.r, tile.q, tile.r);
+            if (path && (!best || path.length < best.length)) best = path;
+        }
+        return best;
+    }
+
+    // -------------------------------------------------------------------------
+    // Modifications
+
+    /** Le joueur rencontre le PNJ (premiere conversation). */
+    meet(id) {
+        const npc = this.get(id);
+        if (!npc || npc.met) return;
+        const data = { met: true, metAct: this._sm.getState().act };
+        // Une rencontre anticipee (evenement) fait arriver le PNJ
+        if (npc.status === NPC_STATUS.ABSENT) {
+            const spawn = NPC_SPAWN_LOCATIONS[id];
+            data.status   = NPC_STATUS.ALIVE;
+            data.position = { q: spawn.q, r: spawn.r };
+        }
+        this._update(id, data);
+    }
+
+    /** Le PNJ rejoint l'abri du phare. */
+    joinLighthouse(id) {
+        if (!this.isAlive(id)) return;
+        this.meet(id);
+        this._update(id, { status: NPC_STATUS.AT_LIGHTHOUSE, position: { ...NPCManager.LIGHTHOUSE_POSITION } });
+    }
+
+    setStatus(id, status) {
+        if (!this.get(id)) return;
+        const data = { status };
+        if (status === NPC_STATUS.MISSING || status === NPC_STATUS.DEAD) data.position = null;
+        this._update(id, data);
+    }
+
+    adjustTrust(id, delta) {
+        const npc = this.get(id);
+        if (!npc) return;
+        const trust = Math.max(NPCManager.TRUST_MIN, Math.min(NPCManager.TRUST_MAX, (npc.trust || 0) + delta));
+        this._update(id, { trust });
+    }
+
+    revealSecret(id, secretId) {
+        const npc = this.get(id);
+        if (!npc || npc.secrets.includes(secretId)) return;
+        if (!NPC_DEFINITIONS[id]?.secrets?.[secretId]) {
+            console.warn(`[NPCManager] Secret inconnu : ${id}.${secretId}`);
+        }
+        this._update(id, { secrets: [...npc.secrets, secretId] });
+    }
+
+    _update(id, data) {
+        this._sm.dispatch({ type: 'UPDATE_NPC', payload: { id, data } });
+    }
+}
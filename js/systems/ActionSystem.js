@@ -0,0 +1,206 @@
+/**
+ * ActionSystem.js — Le Dernier Phare
+ *
+ * Actions de tuile (js/data/actions.js) : fouiller encore, se reposer,
+ * manger, cueillir, pecher, parler a un PNJ present. Chacune declare
+ * ou elle est proposee, son cout et ses effets ; les effets passent par
+ * le meme applicateur que les choix de dialogue (main.js). Les actions
+ * deja faites dans la journee sont notees dans state.dayActions.
+ */
+
+import { ACTIONS } from '../data/actions.js';
+import { checkConditions } from '../narrative/Conditions.js';
+
+export class ActionSystem {
+
+    /**
+     * @param {StateManager} stateManager
+     * @param {ResourceManager} resourceManager
+     * @param {NPCManager} npcManager
+     * @param {DialogueEngine} dialogueEngine
+     * @param {InventorySystem} inventorySystem
+     * @param {Random} random
+     */
+    constructor(stateManager, resourceManager, npcManager, dialogueEngine, inventorySystem, random) {
+        this._sm        = stateManager;
+        this._rm        = resourceManager;
+        this._npcs      = npcManager;
+        this._dialogues = dialogueEngine;
+        this._inventory = inventorySystem;
+        this._random    = random;
+        this._board     = null;
+
+        // Callbacks injectés par main.js
+        this._callbacks = {
+            applyEffects:     null,  // (effects) => void
+            collectLoot:      null,  // (tile) => void
+            showNotification: null,  // (message, type) => void
+            onPerformed:      null,  // (actionId) => void
+        };
+    }
+
+    setBoard(board) {
+        this._board = board;
+    }
+
+    /**
+     * Enregistre les callbacks (appelé par main.js au démarrage).
+     * @param {Object} callbacks
+     */
+    setCallbacks(callbacks) {
+        Object.assign(this._callbacks, callbacks);
+    }
+
+    // -------------------------------------------------------------------------
+    // Requêtes
+
+    /**
+     * Actions proposees sur la tuile du gardien, de jour : lieu et
+     * conditions remplis, pas deja faites aujourd'hui. Une action "npc"
+     * est proposee pour chaque PNJ rencontre present.
+     * @returns {Array<{ id: string, npcId?: string }>}
+     */
+    getAvailable() {
+        const state = this._sm.getState();
+        const tile  = this._getTile();
+        if (state.phase !== 'day' || !tile) return [];
+
+        const entries = [];
+        for (const [id, action] of Object.entries(ACTIONS)) {
+            const where = action.where ?? {};
+            if (where.types && !where.types.includes(tile.type)) continue;
+            if (where.exclude?.includes(tile.type)) continue;
+            if (!checkConditions(action.conditions, state)) continue;
+
+            const candidates = where.npc
+                ? this._npcs.getNPCsAt(tile.q, tile.r).filter(npc => npc.met).map(npc => ({ id, npcId: npc.id }))
+                : [{ id }];
+
+            for (const entry of candidates) {
+                if (this._isDone(entry, tile)) continue;
+                if (action.dialogue && !this._dialogues.canStart(this._dialogueId(entry))) continue;
+                entries.push(entry);
+            }
+        }
+        return entries;
+    }
+
+    getAction(id) {
+        return ACTIONS[id] ?? null;
+    }
+
+    /**
+     * Libelle d'une action, PNJ compris : "Parler à Nadia".
+     * @param {{ id: string, npcId?: string }} entry
+     * @returns {string}
+     */
+    getLabel(entry) {
+        const { name } = ACTIONS[entry.id];
+        return entry.npcId ? name.replace('{npc}', this._npcs.getName(entry.npcId)) : name;
+    }
+
+    /**
+     * Verifie qu'une action peut etre faite maintenant.
+     * @param {{ id: string, npcId?: string }} entry
+     * @returns {{ ok: boolean, missing: string[] }}
+     */
+    checkAction(entry) {
+        const action  = ACTIONS[entry.id];
+        const state   = this._sm.getState();
+        const tile    = this._getTile();
+        const missing = this._rm.getMissing(action.cost);
+
+        if (action.moves && state.movesRemaining < action.moves) {
+            missing.push(`Pas assez de temps (${state.movesRemaining}/${action.moves} déplacements).`);
+        }
+        if (action.loot && tile?.loot && tile.isDark() && !this._inventory.hasLight()) {
+            missing.push('Il fait trop sombre pour fouiller ici. Il faudrait une lanterne.');
+        }
+        return { ok: missing.length === 0, missing };
+    }
+
+    /**
+     * Libelle court du cout d'une action.
+     * @param {string} id
+     * @returns {string}
+     */
+    describeCost(id) {
+        const action = ACTIONS[id];
+        const parts  = [this._rm.describeCost(action.cost)];
+        if (action.moves) parts.push(`${action.moves} dépl.`);
+        return parts.filter(Boolean).join(', ');
+    }
+
+    // -------------------------------------------------------------------------
+    // Action
+
+    /**
+     * Fait une action : consomme les couts, la note pour la journee, puis
+     * ramasse le butin, engage la conversation ou tire ses effets.
+     * @param {{ id: string, npcId?: string }} entry
+     * @returns {boolean}
+     */
+    perform(entry) {
+        const action = ACTIONS[entry.id];
+        if (!action) {
+            console.warn(`[ActionSystem] Action inconnue : ${entry.id}`);
+            return false;
+        }
+        const tile = this._getTile();
+        const available = this.getAvailable()
+            .some(other => other.id === entry.id && other.npcId === entry.npcId);
+        if (!available) return false;
+
+        const { ok, missing } = this.checkAction(entry);
+        if (!ok) {
+            this._callbacks.showNotification?.(missing[0], 'warning');
+            return false;
+        }
+
+        this._rm.spend(action.cost);
+        if (action.moves) {
+            this._sm.dispatch({ type: 'SPEND_MOVES', payload: { amount: action.moves } });
+        }
+        if (action.once) {
+            this._sm.dispatch({ type: 'RECORD_DAY_ACTION', payload: { key: this._limitKey(entry, tile) } });
+        }
+
+        if (action.loot && tile.loot) {
+            this._callbacks.collectLoot?.(tile);
+        } else if (action.dialogue) {
+            this._dialogues.start(this._dialogueId(entry));
+        } else if (this._random.chance(action.chance ?? 1)) {
+            this._callbacks.applyEffects?.(action.effects);
+        } else {
+            this._callbacks.applyEffects?.(action.failure);
+        }
+
+        this._callbacks.onPerformed?.(entry.id);
+        return true;
+    }
+
+    // -------------------------------------------------------------------------
+
+    _getTile() {
+        const { q, r } = this._sm.getState().player.position;
+        return this._board?.getTile(q, r) ?? null;
+    }
+
+    _dialogueId(entry) {
+        return ACTIONS[entry.id].dialogue.replace('{npc}', entry.npcId);
+    }
+
+    /** Cle notee dans state.dayActions : "pecher@2,-1", "parler@marin", "manger". */
+    _limitKey(entry, tile) {
+        switch (ACTIONS[entry.id].once) {
+            case 'tile': return `${entry.id}@${tile.getKey()}`;
+            case 'npc':  return `${entry.id}@${entry.npcId}`;
+            default:     return entry.id;
+        }
+    }
+
+    _isDone(entry, tile) {
+        if (!ACTIONS[entry.id].once) return false;
+        return (this._sm.getState().dayActions ?? []).includes(this._limitKey(entry, tile));
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * CraftingSystem.js — Le Dernier Phare
+ *
+ * Atelier du phare : convertit les materiaux (et un peu d'huile ou de
+ * nourriture) en objets selon les recettes declaratives de
+ * js/data/recipes.js. Le ResourceManager verifie et consomme les couts ;
+ * les ameliorations permanentes relevent du LighthouseSystem.
+ */
+
+import { RECIPES } from '../data/recipes.js';
+import { checkConditions } from '../narrative/Conditions.js';
+
+export class CraftingSystem {
+
+    /** Tuile de l'atelier (le phare) */
+    static WORKSHOP = { q: 0, r: 0 };
+
+    /**
+     * @param {StateManager} stateManager
+     * @param {ResourceManager} resourceManager
+     * @param {InventorySystem} inventorySystem
+     */
+    constructor(stateManager, resourceManager, inventorySystem) {
+        this._sm        = stateManager;
+        this._rm        = resourceManager;
+        this._inventory = inventorySystem;
+
+        // Callbacks injectés par main.js
+        this._callbacks = {
+            showNotification: null,  // (message, type) => void
+            onCrafted:        null,  // (recipeId) => void
+        };
+    }
+
+    /**
+     * Enregistre les callbacks (appelé par main.js au démarrage).
+     * @param {Object} callbacks
+     */
+    setCallbacks(callbacks) {
+        Object.assign(this._callbacks, callbacks);
+    }
+
+    // -------------------------------------------------------------------------
+    // Requêtes
+
+    /** Le joueur est-il a l'atelier, de jour ? */
+    isAtWorkshop() {
+        const { phase, player } = this._sm.getState();
+        const { q, r } = CraftingSystem.WORKSHOP;
+        return phase === 'day' && player.position.q === q && player.position.r === r;
+    }
+
+    /**
+     * Recettes proposees : conditions remplies, objet pas deja en poche.
+     * @returns {string[]}
+     */
+    getAvailable() {
+        const state = this._sm.getState();
+        return Object.keys(RECIPES).filter(id => {
+            const recipe = RECIPES[id];
+            if (recipe.item && this._inventory.has(recipe.item)) return false;
+            return checkConditions(recipe.conditions, state);
+        });
+    }
+
+    getRecipe(id) {
+        return RECIPES[id] ?? null;
+    }
+
+    /**
+     * Verifie qu'une recette peut etre fabriquee maintenant.
+     * @param {string} id
+     * @returns {{ ok: boolean, missing: string[] }}
+     */
+    checkRecipe(id) {
+        const recipe  = RECIPES[id];
+        const state   = this._sm.getState();
+        const missing = this._rm.getMissing(recipe.cost);
+
+        if (recipe.moves && state.movesRemaining < recipe.moves) {
+            missing.push(`Pas assez de temps (${state.movesRemaining}/${recipe.moves} déplacements).`);
+        }
+        return { ok: missing.length === 0, missing };
+    }
+
+    /**
+     * Libelle court du cout d'une recette.
+     * @param {string} id
+     * @returns {string}
+     */
+    describeCost(id) {
+        const recipe = RECIPES[id];
+        const parts  = [this._rm.describeCost(recipe.cost)];
+        if (recipe.moves) parts.push(`${recipe.moves} dépl.`);
+        return parts.filter(Boolean).join(', ');
+    }
+
+    // -------------------------------------------------------------------------
+    // Action
+
+    /**
+     * Fabrique une recette : consomme les couts et ajoute l'objet.
+     * @param {string} id
+     * @returns {boolean}
+     */
+    craft(id) {
+        const recipe = RECIPES[id];
+        if (!recipe) {
+            console.warn(`[CraftingSystem] Recette inconnue : ${id}`);
+            return false;
+        }
+        if (!this.isAtWorkshop() || !this.getAvailable().includes(id)) return false;
+
+        const { ok, missing } = this.checkRecipe(id);
+        if (!ok) {
+            this._callbacks.showNotification?.(missing[0], 'warning');
+            return false;
+        }
+
+        this._rm.spend(recipe.cost);
+        if (recipe.moves) {
+            this._sm.dispatch({ type: 'SPEND_MOVES', payload: { amount: recipe.moves } });
+        }
+
+        this._inventory.add(recipe.item);
+
+        this._callbacks.showNotification?.(`${recipe.text} (${recipe.name})`, 'loot');
+        this._callbacks.onCrafted?.(id);
+        return true;
+    }
+}
@@ -0,0 +1,206 @@
+/**
+ * EventSystem.js — Le Dernier Phare
+ *
+ * Registre des evenements narratifs declares sur les tuiles (island-map.js).
+ * Chaque evenement est une definition declarative (js/data/events.js) :
+ * preconditions, fenetre d'actes, poids, unique ou repetable, effets
+ * et dialogue de suite joue par le DialogueEngine.
+ * Les evenements marques `hallucination` ne dependent d'aucune tuile :
+ * ils peuvent surgir n'importe ou quand la sante mentale est basse.
+ * Les evenements `night` sont tires au phare, apres la veille nocturne ;
+ * ceux qui declarent des `tileTypes` ne se montrent que sur une case
+ * a la portee du faisceau.
+ */
+
+import { checkConditions, inRange } from '../narrative/Conditions.js';
+
+export class EventSystem {
+
+    /** Poids par defaut d'un evenement sans `weight` */
+    static DEFAULT_WEIGHT = 1;
+
+    /** Probabilite qu'une hallucination eligible surgisse a un deplacement */
+    static HALLUCINATION_CHANCE = 0.15;
+
+    /** Probabilite qu'un evenement de nuit eligible survienne */
+    static NIGHT_EVENT_CHANCE = 0.5;
+
+    constructor(stateManager, dialogueEngine, random) {
+        this._sm       = stateManager;
+        this._dialogue = dialogueEngine;
+        this._random   = random;
+        this._events   = new Map();
+
+        /** Identifiants inconnus deja signales (un seul avertissement chacun) */
+        this._warned = new Set();
+
+        // Callbacks injectés par main.js
+        this._callbacks = {
+            applyEffects: null,  // (effects) => void
+        };
+    }
+
+    // -------------------------------------------------------------------------
+    // Configuration
+
+    /**
+     * Enregistre les callbacks (appelé par main.js au démarrage).
+     * @param {Object} callbacks
+     */
+    setCallbacks(callbacks) {
+        Object.assign(this._callbacks, callbacks);
+    }
+
+    /**
+     * Enregistre un ensemble de definitions d'evenements.
+     * @param {Object<string, Object>} definitions
+     */
+    register(definitions) {
+        for (const [id, def] of Object.entries(definitions)) {
+            if (def.dialogue && !this._dialogue.has(def.dialogue)) {
+                console.warn(`[EventSystem] ${id} : dialogue inconnu "${def.dialogue}"`);
+            }
+            this._events.set(id, { id, ...def });
+        }
+    }
+
+    has(id) {
+        return this._events.has(id);
+    }
+
+    /**
+     * Signale les identifiants d'evenements references par les tuiles
+     * mais absents du registre.
+     * @param {Array<Object>} tiles - Tuiles ou configurations de tuiles
+     * @returns {string[]} Identifiants non enregistres
+     */
+    checkTiles(tiles) {
+        const missing = [];
+        for (const tile of tiles) {
+            for (const eventId of tile.events ?? []) {
+                if (!this.has(eventId) && !missing.includes(eventId)) missing.push(eventId);
+            }
+        }
+        for (const eventId of missing) this._warnUnknown(eventId);
+        return missing;
+    }
+
+    // -------------------------------------------------------------------------
+    // Déclenchement
+
+    /**
+     * Indique si un evenement peut se declencher dans l'etat courant.
+     * @param {string} id
+     * @returns {boolean}
+     */
+    isEligible(id) {
+        const def = this._events.get(id);
+        if (!def) return false;
+
+        const state = this._sm.getState();
+        if (!def.repeatable && state.events.completed.includes(id)) return false;
+        if (def.act && !inRange(state.act, def.act)) return false;
+        if (def.dialogue && !this._dialogue.canStart(def.dialogue)) return false;
+        return checkConditions(def.conditions, state);
+    }
+
+    /**
+     * Resout les evenements d'une tuile a l'entree du joueur.
+     * Un seul evenement est joue, tire au sort parmi les eligibles selon leur poids.
+     * @param {Object} tile - Instance de Tile
+     * @returns {string|null} Identifiant de l'evenement declenche
+     */
+    triggerTileEvents(tile) {
+        const candidates = [];
+        for (const eventId of tile.events) {
+            if (!this.has(eventId)) {
+                this._warnUnknown(eventId);
+                continue;
+            }
+            if (this.isEligible(eventId)) candidates.push(this._events.get(eventId));
+        }
+        if (candidates.length === 0) return null;
+
+        const chosen = this._pickWeighted(candidates);
+        this.trigger(chosen.id);
+        return chosen.id;
+    }
+
+    /**
+     * Tente de jouer une rencontre hallucinee sur la tuile du joueur.
+     * @param {Object} tile - Instance de Tile
+     * @returns {string|null} Identifiant de l'evenement declenche
+     */
+    triggerHallucination(tile) {
+        const candidates = [...this._events.values()].filter(def =>
+            def.hallucination
+            && (!def.tileTypes || def.tileTypes.includes(tile.type))
+            && this.isEligible(def.id));
+        if (candidates.length === 0) return null;
+        if (!this._random.chance(EventSystem.HALLUCINATION_CHANCE)) return null;
+
+        const chosen = this._pickWeighted(candidates);
+        this.trigger(chosen.id);
+        return chosen.id;
+    }
+
+    /**
+     * Tente de jouer un evenement de nuit (conditions sur l'historique du
+     * phare et ses ameliorations).
+     * @param {Object} [options]
+     * @param {Function} [options.onEnd] - Appele a la fin du dialogue
+     * @param {Array<Object>} [options.tiles] - Cases a la portee du faisceau
+     * @returns {{ id: string, tile: Object|null }|null} Evenement declenche et case ou il se montre
+     */
+    triggerNightEvent({ onEnd, tiles = [] } = {}) {
+        const placesFor = def => tiles.filter(tile => def.tileTypes.includes(tile.type));
+        const candidates = [...this._events.values()].filter(def =>
+            def.night
+            && (!def.tileTypes || placesFor(def).length > 0)
+            && this.isEligible(def.id));
+        if (candidates.length === 0) return null;
+        if (!this._random.chance(EventSystem.NIGHT_EVENT_CHANCE)) return null;
+
+        const chosen = this._pickWeighted(candidates);
+        const places = chosen.tileTypes ? placesFor(chosen) : [];
+        const tile   = this._random.pick(places) ?? null;
+        this.trigger(chosen.id, { onEnd });
+        return { id: chosen.id, tile };
+    }
+
+    /**
+     * Declenche un evenement : marque unique, effets, puis dialogue de suite.
+     * @param {string} id
+     * @param {Object} [options]
+     * @param {Function} [options.onEnd] - Appele a la fin du dialogue (ou immediatement)
+     * @returns {boolean}
+     */
+    trigger(id, { onEnd } = {}) {
+        if (!this.isEligible(id)) return false;
+        const def = this._events.get(id);
+
+        if (!def.repeatable) {
+            this._sm.dispatch({ type: 'COMPLETE_EVENT', payload: { id } });
+        }
+        if (def.effects) this._callbacks.applyEffects?.(def.effects);
+
+        // Sans dialogue (ou s'il ne peut pas demarrer), la suite est immediate
+        if (!def.dialogue || !this._dialogue.start(def.dialogue, { onEnd })) {
+            onEnd?.();
+        }
+        return true;
+    }
+
+    // -------------------------------------------------------------------------
+    // Utilitaires internes
+
+    _pickWeighted(candidates) {
+        return this._random.weighted(candidates, def => def.weight ?? EventSystem.DEFAULT_WEIGHT);
+    }
+
+    _warnUnknown(eventId) {
+        if (this._warned.has(eventId)) return;
+        this._warned.add(eventId);
+        console.warn(`[EventSystem] Evenement non enregistre : ${eventId}`);
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * HazardSystem.js — Le Dernier Phare
+ *
+ * Dangers du terrain (js/data/hazards.js) : blessures et atteintes a la
+ * sante mentale en entrant sur une tuile (main.js, movePlayer), ou si
+ * la nuit surprend le gardien loin du phare. Le BoardRenderer les
+ * annonce dans l'infobulle des tuiles devoilees.
+ */
+
+import { HAZARDS } from '../data/hazards.js';
+import { checkConditions } from '../narrative/Conditions.js';
+import { ResourceManager } from './ResourceManager.js';
+
+export class HazardSystem {
+
+    /**
+     * @param {StateManager} stateManager
+     * @param {Random} random
+     */
+    constructor(stateManager, random) {
+        this._sm     = stateManager;
+        this._random = random;
+    }
+
+    // -------------------------------------------------------------------------
+    // Requêtes
+
+    /**
+     * Danger d'une tuile : le sien, sinon celui de son type.
+     * @param {Tile} tile
+     * @returns {Object|null} Entree de HAZARDS
+     */
+    getHazard(tile) {
+        if (tile.hazard === false) return null;
+        if (tile.hazard) return HAZARDS[tile.hazard] ?? null;
+        return Object.values(HAZARDS).find(hazard => hazard.types?.includes(tile.type)) ?? null;
+    }
+
+    /**
+     * Avertissement affiche au survol, si le danger est actif.
+     * @param {Tile} tile
+     * @returns {string|null}
+     */
+    describe(tile) {
+        const hazard = this.getHazard(tile);
+        if (!hazard || !checkConditions(hazard.conditions, this._sm.getState())) return null;
+        return hazard.label;
+    }
+
+    // -------------------------------------------------------------------------
+    // Application
+
+    /**
+     * Le gardien entre sur la tuile.
+     * @param {Tile} tile
+     * @returns {Object|null} Effets subis { health, sanity, text }, null si rien
+     */
+    applyOnEnter(tile) {
+        const hazard = this.getHazard(tile);
+        if (!hazard?.onEnter || !checkConditions(hazard.conditions, this._sm.getState())) return null;
+        if (!this._random.chance(hazard.chance ?? 1)) return null;
+        return this._apply(hazard.onEnter);
+    }
+
+    /**
+     * La nuit tombe alors que le gardien se tient sur la tuile.
+     * @param {Tile} tile
+     * @returns {Object|null} Effets subis { health, sanity, text }, null si rien
+     */
+    applyAtNight(tile) {
+        const hazard = this.getHazard(tile);
+        if (!hazard?.atNight || !checkConditions(hazard.conditions, this._sm.getState())) return null;
+        return this._apply(hazard.atNight);
+    }
+
+    /**
+     * Resume chiffre des effets : "Santé −10, Santé mentale −8".
+     * @param {Object} effects
+     * @returns {string}
+     */
+    summarize(effects) {
+        const parts = [];
+        if (effects.health) parts.push(`Santé ${effects.health > 0 ? '+' : '−'}${Math.abs(effects.health)}`);
+        if (effects.sanity) parts.push(`Santé mentale ${effects.sanity > 0 ? '+' : '−'}${Math.abs(effects.sanity)}`);
+        return parts.join(', ');
+    }
+
+    _apply(effects) {
+        const { player } = this._sm.getState();
+        if (effects.health) {
+            const health = player.health ?? ResourceManager.MAX.health;   // anciennes sauvegardes
+            this._sm.dispatch({ type: 'SET_HEALTH', payload: { health: health + effects.health } });
+        }
+        if (effects.sanity) {
+            this._sm.dispatch({ type: 'SET_SANITY', payload: { sanity: player.sanity + effects.sanity } });
+        }
+        return effects;
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * InventorySystem.js — Le Dernier Phare
+ *
+ * Objets du joueur (state.player.inventory, liste d'identifiants) :
+ * ramassage, utilisation, combinaison et don aux PNJs. Les definitions
+ * sont declaratives (js/data/items.js) ; toute modification de
+ * l'inventaire passe par les actions ADD_ITEM / REMOVE_ITEM.
+ */
+
+import { ITEMS, ITEM_CATEGORIES, COMBINATIONS } from '../data/items.js';
+import { checkConditions } from '../narrative/Conditions.js';
+
+export class InventorySystem {
+
+    /**
+     * @param {StateManager} stateManager
+     * @param {NPCManager} npcManager
+     */
+    constructor(stateManager, npcManager) {
+        this._sm   = stateManager;
+        this._npcs = npcManager;
+
+        // Callbacks injectés par main.js
+        this._callbacks = {
+            applyEffects:     null,  // (effects) => void
+            showNotification: null,  // (message, type) => void
+        };
+    }
+
+    /**
+     * Enregistre les callbacks (appelé par main.js au démarrage).
+     * @param {Object} callbacks
+     */
+    setCallbacks(callbacks) {
+        Object.assign(this._callbacks, callbacks);
+    }
+
+    // -------------------------------------------------------------------------
+    // Requêtes
+
+    getDefinition(id) {
+        return ITEMS[id] ?? null;
+    }
+
+    getName(id) {
+        return ITEMS[id]?.name ?? id;
+    }
+
+    getCategoryLabel(id) {
+        return ITEM_CATEGORIES[ITEMS[id]?.category] ?? '';
+    }
+
+    has(id) {
+        return this._sm.getState().player.inventory.includes(id);
+    }
+
+    /** Le joueur porte-t-il de quoi s'eclairer (lanterne) ? */
+    hasLight() {
+        return this._sm.getState().player.inventory.some(id => ITEMS[id]?.light);
+    }
+
+    /**
+     * Objets possedes, regroupes par identifiant.
+     * @returns {Array<{ id: string, count: number }>}
+     */
+    getItems() {
+        const counts = new Map();
+        for (const id of this._sm.getState().player.inventory) {
+            counts.set(id, (counts.get(id) ?? 0) + 1);
+        }
+        return [...counts].map(([id, count]) => ({ id, count }));
+    }
+
+    /**
+     * L'objet peut-il etre utilise ici et maintenant ?
+     * @param {string} id
+     * @returns {boolean}
+     */
+    canUse(id) {
+        const use = ITEMS[id]?.use;
+        if (!use || !this.has(id)) return false;
+
+        const state = this._sm.getState();
+        if (use.tile) {
+            const { q, r } = state.player.position;
+            if (use.tile.q !== q || use.tile.r !== r) return false;
+        }
+        return checkConditions(use.conditions, state);
+    }
+
+    /**
+     * PNJs rencontres, presents sur la tuile du joueur, a qui donner un objet.
+     * @returns {Array<Object>}
+     */
+    getRecipients() {
+        const { q, r } = this._sm.getState().player.position;
+        return this._npcs.getNPCsAt(q, r).filter(npc => npc.met);
+    }
+
+    // -------------------------------------------------------------------------
+    // Modifications
+
+    /**
+     * Ajoute un objet a l'inventaire.
+     * @param {string} id
+     * @returns {boolean} false si l'objet est inconnu
+     */
+    add(id) {
+        if (!ITEMS[id]) {
+            console.warn(`[InventorySystem] Objet inconnu : ${id}`);
+            return false;
+        }
+        this._sm.dispatch({ type: 'ADD_ITEM', payload: { id } });
+        return true;
+    }
+
+    remove(id) {
+        if (!this.has(id)) return false;
+        this._sm.dispatch({ type: 'REMOVE_ITEM', payload: { id } });
+        return true;
+    }
+
+    /**
+     * Utilise un objet : applique ses effets, le consomme si besoin.
+     * @param {string} id
+     * @returns {boolean}
+     */
+    use(id) {
+        const use = ITEMS[id]?.use;
+        if (!use || !this.has(id)) return false;
+        if (!this.canUse(id)) {
+            this._callbacks.showNotification?.('Cela ne servirait à rien ici.', 'warning');
+            return false;
+        }
+
+        if (use.consume) this.remove(id);
+        this._callbacks.applyEffects?.(use.effects);
+        return true;
+    }
+
+    /**
+     * Assemble deux objets selon COMBINATIONS.
+     * @param {string} a
+     * @param {string} b
+     * @returns {string|null} Objet obtenu
+     */
+    combine(a, b) {
+        if (!this.has(a) || !this.has(b) || a === b) return null;
+        const combination = COMBINATIONS.find(c => c.items.includes(a) && c.items.includes(b));
+        if (!combination) {
+            this._callbacks.showNotification?.('Ces objets ne vont pas ensemble.', 'warning');
+            return null;
+        }
+
+        this.remove(a);
+        this.remove(b);
+        this.add(combination.result);
+        this._callbacks.showNotification?.(
+            `${combination.text} (${this.getName(combination.result)})`, 'loot'
+        );
+        return combination.result;
+    }
+
+    /**
+     * Donne un objet a un PNJ present sur la tuile du joueur.
+     * @param {string} id
+     * @param {string} npcId
+     * @returns {boolean} false si le PNJ refuse
+     */
+    give(id, npcId) {
+        if (!this.has(id) || !this.getRecipients().some(npc => npc.id === npcId)) return false;
+
+        const reaction = ITEMS[id].give?.[npcId];
+        if (!reaction) {
+            this._callbacks.showNotification?.(`${this._npcs.getName(npcId)} n'en veut pas.`, 'info');
+            return false;
+        }
+
+        this.remove(id);
+        this._callbacks.applyEffects?.(reaction.effects);
+        return true;
+    }
+}
@@ -0,0 +1,298 @@
+/**
+ * LighthouseSystem.js — Le Dernier Phare
+ *
+ * Ameliorations permanentes du phare (js/data/lighthouse.js) : lentille,
+ * galerie, corne de brume, porte. Elles se construisent de jour, au
+ * phare, et sont conservees dans state.lighthouse.upgrades. Leurs
+ * modificateurs (huile, sante mentale, portee) sont lus par le
+ * ResourceManager.
+ *
+ * Les nuits allumees, le faisceau tourne autour du phare : les cases a sa
+ * portee sortent du brouillard le temps qu'il les eclaire (BoardRenderer).
+ * La rotation n'est qu'une animation, temporaire et non sauvegardee : les
+ * evenements de nuit se placent sur toute la portee, deduite de l'etat
+ * (intensite de la nuit, ameliorations), pour rester rejouables.
+ */
+
+import { LIGHTHOUSE_UPGRADES } from '../data/lighthouse.js';
+import { checkConditions } from '../narrative/Conditions.js';
+
+export class LighthouseSystem {
+
+    /** Position du phare sur le plateau */
+    static POSITION = { q: 0, r: 0 };
+
+    /** Portee du faisceau sans amelioration (en cases) */
+    static BASE_BEAM_RADIUS = 2;
+
+    /** Duree d'un tour complet du faisceau (secondes) */
+    static BEAM_PERIOD = 6;
+
+    /** Demi-ouverture du cone de lumiere (radians) */
+    static BEAM_HALF_ANGLE = Math.PI / 8;
+
+    /** Duree pendant laquelle une case reste visible apres le passage du faisceau (secondes) */
+    static BEAM_AFTERGLOW = 1.5;
+
+    /**
+     * @param {StateManager} stateManager
+     * @param {ResourceManager} resourceManager
+     */
+    constructor(stateManager, resourceManager) {
+        this._sm         = stateManager;
+        this._rm         = resourceManager;
+        this._board      = null;
+        this._pathFinder = null;
+
+        /** Faisceau de la nuit en cours (null le jour ou phare eteint) */
+        this._beam = null;
+
+        // Callbacks injectés par main.js
+        this._callbacks = {
+            showNotification: null,  // (message, type) => void
+            onBuilt:          null,  // (upgradeId) => void
+        };
+    }
+
+    /**
+     * Enregistre les callbacks (appelé par main.js au démarrage).
+     * @param {Object} callbacks
+     */
+    setCallbacks(callbacks) {
+        Object.assign(this._callbacks, callbacks);
+    }
+
+    /**
+     * Plateau eclaire par le faisceau (cree apres les systemes).
+     * @param {Board} board
+     * @param {PathFinder} pathFinder
+     */
+    setBoard(board, pathFinder) {
+        this._board      = board;
+        this._pathFinder = pathFinder;
+    }
+
+    // -------------------------------------------------------------------------
+    // Requêtes
+
+    getIds() {
+        return Object.keys(LIGHTHOUSE_UPGRADES);
+    }
+
+    getUpgrade(id) {
+        return LIGHTHOUSE_UPGRADES[id] ?? null;
+    }
+
+    isBuilt(id) {
+        return (this._sm.getState().lighthouse?.upgrades ?? []).includes(id);
+    }
+
+    /** Le joueur est-il au phare, de jour ? */
+    isAtLighthouse() {
+        const { phase, player } = this._sm.getState();
+        const { q, r } = LighthouseSystem.POSITION;
+        return phase === 'day' && player.position.q === q && player.position.r === r;
+    }
+
+    /**
+     * Portee du faisceau, ameliorations (et intensite) comprises.
+     * @param {string} [level] - Intensite de la nuit
+     * @returns {number}
+     */
+    getBeamRadius(level) {
+        const bonus = level ? (this._rm.getIntensity(level)?.beamRadius ?? 0) : 0;
+        return Math.max(0, LighthouseSystem.BASE_BEAM_RADIUS + this._rm.getModifier('beamRadius') + bonus);
+    }
+
+    /**
+     * Verifie qu'une amelioration peut etre construite maintenant.
+     * @param {string} id
+     * @returns {{ ok: boolean, missing: string[] }}
+     */
+    checkUpgrade(id) {
+        const upgrade = LIGHTHOUSE_UPGRADES[id];
+        const state   = this._sm.getState();
+        if (this.isBuilt(id)) return { ok: false, missing: ['Déjà construit.'] };
+
+        const missing = [];
+        const lacking = (upgrade.requires ?? []).filter(req => !this.isBuilt(req));
+        if (lacking.length > 0) {
+            missing.push(`Il faut d'abord : ${lacking.map(req => LIGHTHOUSE_UPGRADES[req]?.name ?? req).join(', ')}.`);
+        }
+        const rival = (upgrade.excludes ?? []).find(other => this.isBuilt(other));
+        if (rival) missing.push(`Incompatible avec : ${LIGHTHOUSE_UPGRADES[rival]?.name ?? rival}.`);
+        if (!checkConditions(upgrade.conditions, state)) missing.push('Pas encore.');
+        if (!this.isAtLighthouse()) missing.push('À faire de jour, au phare.');
+        missing.push(...this._rm.getMissing(upgrade.cost));
+        if (upgrade.moves && state.movesRemaining < upgrade.moves) {
+            missing.push(`Pas assez de temps (${state.movesRemaining}/${upgrade.moves} déplacements).`);
+        }
+        return { ok: missing.length === 0, missing };
+    }
+
+    /**
+     * Libelle court du cout d'une amelioration.
+     * @param {string} id
+     * @returns {string}
+     */
+    describeCost(id) {
+        const upgrade = LIGHTHOUSE_UPGRADES[id];
+        const parts   = [this._rm.describeCost(upgrade.cost)];
+        if (upgrade.moves) parts.push(`${upgrade.moves} dépl.`);
+        return parts.filter(Boolean).join(', ');
+    }
+
+    // -------------------------------------------------------------------------
+    // Actions
+
+    /**
+     * Construit une amelioration : consomme les couts et l'enregistre.
+     * @param {string} id
+     * @returns {boolean}
+     */
+    build(id) {
+        const upgrade = LIGHTHOUSE_UPGRADES[id];
+        if (!upgrade) {
+            console.warn(`[LighthouseSystem] Amelioration inconnue : ${id}`);
+            return false;
+        }
+
+        const { ok, missing } = this.checkUpgrade(id);
+        if (!ok) {
+            this._callbacks.showNotification?.(missing[0], 'warning');
+            return false;
+        }
+
+        this._rm.spend(upgrade.cost);
+        if (upgrade.moves) {
+            this._sm.dispatch({ type: 'SPEND_MOVES', payload: { amount: upgrade.moves } });
+        }
+        this._sm.dispatch({ type: 'ADD_LIGHTHOUSE_UPGRADE', payload: { id } });
+
+        this._callbacks.showNotification?.(`${upgrade.text} (${upgrade.name})`, 'event');
+        this._callbacks.onBuilt?.(id);
+        return true;
+    }
+
+    // -------------------------------------------------------------------------
+    // Faisceau de nuit
+
+    /**
+     * Allume le faisceau pour la nuit.
+     * @param {string} level - Intensite choisie au crepuscule
+     */
+    startBeam(level) {
+        if (!this._board || !this._pathFinder) return;
+
+        const { q, r } = LighthouseSystem.POSITION;
+        const radius   = this.getBeamRadius(level);
+        const hexes    = this._pathFinder.getHexesInRange(q, r, radius)
+            .filter(hex => hex.q !== q || hex.r !== r)
+            .map(hex => ({ ...hex, key: `${hex.q},${hex.r}`, angle: LighthouseSystem._angleTo(hex.q - q, hex.r - r) }));
+
+        this._beam = {
+            level,
+            radius,
+            hexes,
+            time:    0,
+            angle:   0,
+            lastLit: new Map(),   // cle "q,r" -> instant du dernier passage
+            markers: new Set(),   // cases ou un evenement de nuit se montre
+        };
+    }
+
+    /** Eteint le faisceau (aube). */
+    stopBeam() {
+        this._beam = null;
+    }
+
+    isBeamActive() {
+        return this._beam !== null;
+    }
+
+    /**
+     * Geometrie du cone pour le rendu.
+     * @returns {{ origin: { q: number, r: number }, angle: number, halfAngle: number, radius: number }|null}
+     */
+    getBeamShape() {
+        if (!this._beam) return null;
+        return {
+            origin:    LighthouseSystem.POSITION,
+            angle:     this._beam.angle,
+            halfAngle: LighthouseSystem.BEAM_HALF_ANGLE,
+            radius:    this._beam.radius,
+        };
+    }
+
+    /**
+     * Fait tourner le faisceau (appele a chaque frame par la boucle de jeu).
+     * @param {number} dt - Secondes ecoulees
+     */
+    update(dt) {
+        const beam = this._beam;
+        if (!beam) return;
+
+        beam.time += dt;
+        beam.angle = (beam.time / LighthouseSystem.BEAM_PERIOD) * 2 * Math.PI % (2 * Math.PI);
+        for (const hex of beam.hexes) {
+            if (LighthouseSystem._angleGap(beam.angle, hex.angle) <= LighthouseSystem.BEAM_HALF_ANGLE) {
+                beam.lastLit.set(hex.key, beam.time);
+            }
+        }
+    }
+
+    /**
+     * Eclairage d'une case par le faisceau : 1 sous le cone, decroit ensuite.
+     * @param {number} q
+     * @param {number} r
+     * @returns {number} Entre 0 et 1
+     */
+    getLightAt(q, r) {
+        const last = this._beam?.lastLit.get(`${q},${r}`);
+        if (last === undefined) return 0;
+        return Math.max(0, 1 - (this._beam.time - last) / LighthouseSystem.BEAM_AFTERGLOW);
+    }
+
+    /**
+     * Cases a la portee du faisceau cette nuit, phare exclu. Ne depend que
+     * de l'etat (pas de la rotation), pour que les evenements de nuit
+     * soient les memes a la relecture d'une partie.
+     * @returns {Array<Tile>} Vide si le phare est eteint
+     */
+    getBeamTiles() {
+        const level = this._sm.getState().lighthouseLit.at(-1);
+        if (!level || !this._board || !this._pathFinder) return [];
+
+        const { q, r } = LighthouseSystem.POSITION;
+        return this._pathFinder.getHexesInRange(q, r, this.getBeamRadius(level))
+            .filter(hex => hex.q !== q || hex.r !== r)
+            .map(hex => this._board.getTile(hex.q, hex.r))
+            .filter(Boolean);
+    }
+
+    /**
+     * Signale un evenement de nuit sur une case a la portee du faisceau.
+     * @param {Tile} tile
+     */
+    markEvent(tile) {
+        if (this._beam?.hexes.some(hex => hex.key === tile.getKey())) this._beam.markers.add(tile.getKey());
+    }
+
+    /** Cases ou un evenement de nuit est visible. */
+    getEventMarkers() {
+        return this._beam ? [...this._beam.markers] : [];
+    }
+
+    /** Angle (radians) d'un decalage axial, dans le repere pixel pointy-top. */
+    static _angleTo(dq, dr) {
+        const x = Math.sqrt(3) * (dq + dr / 2);
+        const y = 1.5 * dr;
+        return (Math.atan2(y, x) + 2 * Math.PI) % (2 * Math.PI);
+    }
+
+    /** Ecart angulaire minimal entre deux angles. */
+    static _angleGap(a, b) {
+        const gap = Math.abs(a - b) % (2 * Math.PI);
+        return Math.min(gap, 2 * Math.PI - gap);
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * ObstacleSystem.js — Le Dernier Phare
+ *
+ * Obstacles des tuiles bloquees (island-map.js, cle `obstacle`). Chaque
+ * obstacle propose une ou plusieurs facons de le degager : objet requis,
+ * materiaux consommes, deplacements depenses, aide d'un PNJ. Le joueur
+ * agit depuis une tuile adjacente ; la tuile degagee reste ouverte
+ * (Tile.cleared, sauvegarde via Tile.serializeState).
+ */
+
+import { FOG_STATES } from '../board/Tile.js';
+import { NPC_STATUS } from '../narrative/NPCManager.js';
+
+export class ObstacleSystem {
+
+    /**
+     * @param {StateManager} stateManager
+     * @param {NPCManager} npcManager
+     * @param {InventorySystem} inventorySystem
+     */
+    constructor(stateManager, npcManager, inventorySystem) {
+        this._sm        = stateManager;
+        this._board     = null;
+        this._npcs      = npcManager;
+        this._inventory = inventorySystem;
+
+        // Callbacks injectés par main.js
+        this._callbacks = {
+            showNotification: null,  // (message, type) => void
+            onCleared:        null,  // (tile) => void — tuile degagee
+        };
+    }
+
+    /**
+     * Enregistre les callbacks (appelé par main.js au démarrage).
+     * @param {Object} callbacks
+     */
+    setCallbacks(callbacks) {
+        Object.assign(this._callbacks, callbacks);
+    }
+
+    /**
+     * Plateau sur lequel chercher les obstacles (cree apres les systemes).
+     * @param {Board} board
+     */
+    setBoard(board) {
+        this._board = board;
+    }
+
+    // -------------------------------------------------------------------------
+    // Requêtes
+
+    /**
+     * Tuiles bloquees par un obstacle degageable, voisines du joueur.
+     * @returns {Array<Tile>}
+     */
+    getAdjacentObstacles() {
+        if (!this._board) return [];
+        const { q, r } = this._sm.getState().player.position;
+        return this._board.getNeighbors(q, r)
+            .filter(tile => tile.blocked && tile.obstacle && tile.fogState !== FOG_STATES.HIDDEN);
+    }
+
+    /**
+     * Verifie une option de deblocage.
+     * @param {Object} option - { item, supplies, moves, npc }
+     * @returns {{ ok: boolean, missing: string[] }}
+     */
+    checkOption(option) {
+        const state   = this._sm.getState();
+        const missing = [];
+
+        if (state.phase !== 'day') missing.push('Il fait trop sombre.');
+        if (option.item && !this._inventory.has(option.item)) {
+            missing.push(`Il vous faut : ${this._inventory.getName(option.item)}.`);
+        }
+        if (option.supplies && state.resources.supplies < option.supplies) {
+            missing.push(`Matériaux insuffisants (${state.resources.supplies}/${option.supplies}).`);
+        }
+        if (option.moves && state.movesRemaining < option.moves) {
+            missing.push(`Pas assez de temps (${state.movesRemaining}/${option.moves} déplacements).`);
+        }
+        if (option.npc && !this._canHelp(option.npc)) {
+            missing.push(`Il faudrait l'aide de ${this._npcs.getName(option.npc)}.`);
+        }
+        return { ok: missing.length === 0, missing };
+    }
+
+    /**
+     * Libelle court des exigences d'une option.
+     * @param {Object} option
+     * @returns {string}
+     */
+    describeOption(option) {
+        const parts = [];
+        if (option.item)     parts.push(this._inventory.getName(option.item));
+        if (option.supplies) parts.push(`${option.supplies} matériau${option.supplies > 1 ? 'x' : ''}`);
+        if (option.npc)      parts.push(`avec ${this._npcs.getName(option.npc)}`);
+        if (option.moves)    parts.push(`${option.moves} dépl.`);
+        return parts.join(', ');
+    }
+
+    // -------------------------------------------------------------------------
+    // Action
+
+    /**
+     * Degage l'obstacle d'une tuile adjacente avec l'option choisie.
+     * @param {Tile} tile
+     * @param {number} optionIndex
+     * @returns {boolean}
+     */
+    clear(tile, optionIndex) {
+        const option = tile.obstacle?.options?.[optionIndex];
+        if (!option || !tile.blocked) return false;
+        if (!this.getAdjacentObstacles().includes(tile)) return false;
+
+        const { ok, missing } = this.checkOption(option);
+        if (!ok) {
+            this._callbacks.showNotification?.(missing[0], 'warning');
+            return false;
+        }
+
+        if (option.supplies) {
+            this._sm.dispatch({ type: 'UPDATE_RESOURCE', payload: { resource: 'supplies', amount: -option.supplies } });
+        }
+        if (option.moves) {
+            this._sm.dispatch({ type: 'SPEND_MOVES', payload: { amount: option.moves } });
+        }
+        if (option.item && option.consumeItem) this._inventory.remove(option.item);
+
+        tile.blocked = false;
+        tile.cleared = true;
+        this._sm.dispatch({ type: 'SET_TILE_STATE', payload: { key: tile.getKey(), state: tile.serializeState() } });
+        this._callbacks.showNotification?.(tile.obstacle.clearedText ?? 'Le passage est dégagé.', 'event');
+        this._callbacks.onCleared?.(tile);
+        return true;
+    }
+
+    /** Un PNJ peut aider s'il est abrite au phare ou present aux cotes du joueur. */
+    _canHelp(npcId) {
+        const npc = this._npcs.get(npcId);
+        if (!npc?.met) return false;
+        if (npc.status === NPC_STATUS.AT_LIGHTHOUSE) return true;
+
+        const { q, r } = this._sm.getState().player.position;
+        return this._npcs.getNPCsAt(q, r).some(other => other.id === npcId);
+    }
+}
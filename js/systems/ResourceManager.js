@@ -5,6 +5,9 @@
  * avertissements, equilibrage progressif par acte.
  */
 
+import { NPC_STATUS } from '../narrative/NPCManager.js';
+import { LIGHTHOUSE_UPGRADES, LIGHTHOUSE_INTENSITIES } from '../data/lighthouse.js';
+
 export class ResourceManager {
 
     // --- Config statique ---
@@ -14,11 +17,15 @@ export class ResourceManager {
         oil:  20,
         food: 15,
         sanity: 100,
+        health: 100,
     };
 
     /** Huile consommee par le phare chaque nuit, selon l'acte (index = acte - 1) */
     static OIL_COST_PER_NIGHT = [3, 3, 4, 4, 5];
 
+    /** Intensite d'une nuit allumee sans precision (anciennes sauvegardes : true) */
+    static DEFAULT_INTENSITY = 'normal';
+
     /**
      * Seuils d'avertissement pour les ressources.
      * La nourriture dépend des NPCs (calculé dynamiquement).
@@ -35,6 +42,13 @@ export class ResourceManager {
     /** Penalite de sante mentale par acte supplementaire sans phare (acte 3+) */
     static SANITY_PENALTY_DARK_LATE  = 5;
 
+    /** Libelles des ressources dans les couts affiches (singulier) */
+    static COST_LABELS = {
+        supplies: 'matériau',
+        oil:      'huile',
+        food:     'nourriture',
+    };
+
     // -------------------------------------------------------------------------
 
     constructor(stateManager) {
@@ -47,13 +61,94 @@ export class ResourceManager {
         return ResourceManager.MAX[resource] ?? 0;
     }
 
-    getOilCostTonight(act) {
-        return ResourceManager.OIL_COST_PER_NIGHT[Math.min(act - 1, 4)];
+    /**
+     * Huile consommee par une nuit allumee, ameliorations et intensite comprises.
+     * @param {number} act
+     * @param {string} [level] - Intensite (LIGHTHOUSE_INTENSITIES)
+     * @returns {number}
+     */
+    getOilCostTonight(act, level = ResourceManager.DEFAULT_INTENSITY) {
+        const base   = ResourceManager.OIL_COST_PER_NIGHT[Math.min(act - 1, 4)];
+        const factor = this.getIntensity(level)?.oilFactor ?? 1;
+        return Math.max(1, Math.ceil((base + this.getModifier('oilCost')) * factor));
+    }
+
+    /** Intensites proposees au crepuscule, dans l'ordre d'affichage. */
+    getIntensityIds() {
+        return Object.keys(LIGHTHOUSE_INTENSITIES);
+    }
+
+    /**
+     * Definition d'une intensite du phare.
+     * @param {string|boolean} level - Identifiant, true (intensite par defaut) ou false (eteint)
+     * @returns {Object|null} null si le phare est eteint
+     */
+    getIntensity(level) {
+        if (!level) return null;
+        return LIGHTHOUSE_INTENSITIES[level === true ? ResourceManager.DEFAULT_INTENSITY : level] ?? null;
+    }
+
+    /**
+     * Somme d'un modificateur sur les ameliorations construites du phare.
+     * @param {string} key - 'oilCost', 'foodPerNight', 'darkPenalty', 'beamRadius'...
+     * @returns {number}
+     */
+    getModifier(key) {
+        return (this._sm.getState().lighthouse?.upgrades ?? [])
+            .reduce((sum, id) => sum + (LIGHTHOUSE_UPGRADES[id]?.modifiers?.[key] ?? 0), 0);
+    }
+
+    /** Penalite de sante mentale d'une nuit sans lumiere, selon l'acte et les ameliorations. */
+    getDarkPenalty(act) {
+        const penalty = ResourceManager.SANITY_PENALTY_DARK_NIGHT
+            + (act >= 3 ? ResourceManager.SANITY_PENALTY_DARK_LATE : 0)
+            + this.getModifier('darkPenalty');
+        return Math.max(0, penalty);
+    }
+
+    // --- Couts (atelier, ameliorations du phare) ---
+
+    /**
+     * Ressources manquantes pour payer un cout.
+     * @param {Object} cost - { supplies, oil, food }
+     * @returns {string[]} Messages, vide si le cout est payable
+     */
+    getMissing(cost = {}) {
+        const { resources } = this._sm.getState();
+        return Object.entries(cost)
+            .filter(([resource, amount]) => resources[resource] < amount)
+            .map(([resource, amount]) => {
+                const lacking = amount - resources[resource];
+                return `Il manque ${lacking} ${this._costLabel(resource, lacking)}.`;
+            });
+    }
+
+    /** Consomme un cout deja verifie par getMissing(). */
+    spend(cost = {}) {
+        for (const [resource, amount] of Object.entries(cost)) {
+            this._sm.dispatch({ type: 'UPDATE_RESOURCE', payload: { resource, amount: -amount } });
+        }
+    }
+
+    /**
+     * Libelle court d'un cout : "2 matériaux, 1 huile".
+     * @param {Object} cost
+     * @returns {string}
+     */
+    describeCost(cost = {}) {
+        return Object.entries(cost)
+            .map(([resource, amount]) => `${amount} ${this._costLabel(resource, amount)}`)
+            .join(', ');
+    }
+
+    _costLabel(resource, amount) {
+        const label = ResourceManager.COST_LABELS[resource] ?? resource;
+        return resource === 'supplies' && amount > 1 ? `${label}x` : label;
     }
 
     getFoodNeeded(state) {
-        const npcCount = Object.values(state.npcs).filter(n => n && n.alive).length;
-        return npcCount + 1; // joueur + NPCs vivants
+        const npcCount = Object.values(state.npcs).filter(n => n && n.status === NPC_STATUS.AT_LIGHTHOUSE).length;
+        return npcCount + 1; // joueur + NPCs abrites au phare
     }
 
     /**
@@ -68,49 +163,64 @@ export class ResourceManager {
 
     /**
      * Calcule ce qui sera consomme cette nuit.
+     * @param {Object} state
+     * @param {string|boolean} [level] - Intensite du phare (false : eteint)
      * @returns {{ oilCost: number, foodCost: number }}
      */
-    calculateNightCosts(state) {
+    calculateNightCosts(state, level = ResourceManager.DEFAULT_INTENSITY) {
         return {
-            oilCost:  this.getOilCostTonight(state.act),
+            oilCost:  this.getIntensity(level) ? this.getOilCostTonight(state.act, level) : 0,
             foodCost: this.getFoodNeeded(state),
         };
     }
 
     /**
      * Applique la consommation nocturne au StateManager.
-     * @param {boolean} lighthouseLit - Le phare est-il allume cette nuit ?
-     * @returns {{ oilUsed, oilShortfall, foodUsed, foodShortfall, sanityPenalty }}
+     * @param {string|boolean} level - Intensite du phare cette nuit (false : eteint)
+     * @returns {{ oilUsed, oilShortfall, foodUsed, foodShortfall, foodTrapped, sanityPenalty, sanityGain }}
      */
-    applyNightConsumption(lighthouseLit) {
-        const state    = this._sm.getState();
-        const { oilCost, foodCost } = this.calculateNightCosts(state);
-        const result   = { oilUsed: 0, oilShortfall: 0, foodUsed: 0, foodShortfall: 0, sanityPenalty: 0 };
+    applyNightConsumption(level) {
+        const state     = this._sm.getState();
+        const intensity = this.getIntensity(level);
+        const { oilCost, foodCost } = this.calculateNightCosts(state, level);
+        const result    = { oilUsed: 0, oilShortfall: 0, foodUsed: 0, foodShortfall: 0, foodTrapped: 0,
+                            sanityPenalty: 0, sanityGain: 0 };
 
         // --- Huile ---
-        if (lighthouseLit) {
+        if (intensity) {
             if (state.resources.oil >= oilCost) {
                 this._sm.dispatch({ type: 'UPDATE_RESOURCE', payload: { resource: 'oil', amount: -oilCost } });
                 result.oilUsed = oilCost;
+
+                // Effet de l'intensite sur le gardien
+                this._applySanityPenalty(-intensity.sanity);
+                if (intensity.sanity < 0) result.sanityPenalty += -intensity.sanity;
+                else result.sanityGain = intensity.sanity;
             } else {
                 result.oilShortfall = oilCost - state.resources.oil;
                 // Consume ce qu'il reste
                 this._sm.dispatch({ type: 'UPDATE_RESOURCE', payload: { resource: 'oil', amount: -state.resources.oil } });
                 // Phare eteint faute d'huile => penalite reduite
-                const penalty = Math.round(ResourceManager.SANITY_PENALTY_DARK_NIGHT / 2)
-                    + (state.act >= 3 ? ResourceManager.SANITY_PENALTY_DARK_LATE : 0);
+                const penalty = Math.max(0, Math.round(ResourceManager.SANITY_PENALTY_DARK_NIGHT / 2)
+                    + (state.act >= 3 ? ResourceManager.SANITY_PENALTY_DARK_LATE : 0)
+                    + this.getModifier('darkPenalty'));
                 this._applySanityPenalty(penalty);
                 result.sanityPenalty += penalty;
             }
         } else {
             // Phare deliberement eteint
-            const penalty = ResourceManager.SANITY_PENALTY_DARK_NIGHT
-                + (state.act >= 3 ? ResourceManager.SANITY_PENALTY_DARK_LATE : 0);
+            const penalty = this.getDarkPenalty(state.act);
             this._applySanityPenalty(penalty);
             result.sanityPenalty += penalty;
         }
 
-        // --- Nourriture ---
+        // --- Nourriture (pieges releves avant le repas) ---
+        const trapped = this.getModifier('foodPerNight');
+        if (trapped > 0) {
+            this._sm.dispatch({ type: 'UPDATE_RESOURCE', payload: { resource: 'food', amount: trapped } });
+            result.foodTrapped = trapped;
+        }
+
         const currentFood = this._sm.getState().resources.food;
         if (currentFood >= foodCost) {
             this._sm.dispatch({ type: 'UPDATE_RESOURCE', payload: { resource: 'food', amount: -foodCost } });
@@ -125,8 +235,9 @@ export class ResourceManager {
         return result;
     }
 
+    /** Retire de la sante mentale (une valeur negative en rend). */
     _applySanityPenalty(amount) {
-        if (amount <= 0) return;
+        if (amount === 0) return;
         const { sanity } = this._sm.getState().player;
         this._sm.dispatch({ type: 'SET_SANITY', payload: { sanity: sanity - amount } });
     }
@@ -171,6 +282,10 @@ export class ResourceManager {
             return { lost: true, reason: 'sanity',
                 message: 'Votre esprit a sombré dans les ténèbres.' };
         }
+        if ((state.player.health ?? ResourceManager.MAX.health) <= 0) {
+            return { lost: true, reason: 'health',
+                message: 'Votre corps n\'a pas survécu à l\'île.' };
+        }
         // On pourrait ajouter : mort de faim apres N nuits sans manger, etc.
         return null;
     }
@@ -0,0 +1,242 @@
+/**
+ * SanitySystem.js — Le Dernier Phare
+ *
+ * Distorsions de perception liees a la sante mentale. Sous certains seuils,
+ * le plateau ment : tuiles brumeuses d'un faux type, silhouettes fantomes,
+ * noms de lieux alteres, notes de journal jamais ecrites. Les dialogues
+ * mentent aussi : textes de choix intervertis, choix escamotes.
+ *
+ * Les distorsions visuelles sont deterministes pour une phase donnee
+ * (hachage de la graine, de la tuile, de l'acte et de la phase) : elles
+ * ne scintillent pas d'une image a l'autre mais changent avec le temps.
+ * Les autres tirages passent par le generateur de la partie (Random).
+ */
+
+import { FOG_STATES, TILE_TYPES } from '../board/Tile.js';
+import { NPC_STATUS } from '../narrative/NPCManager.js';
+import { FALSE_TERRAIN_TYPES, HALLUCINATED_JOURNAL } from '../data/hallucinations.js';
+
+export class SanitySystem {
+
+    // Seuils de sante mentale en dessous desquels chaque distorsion apparait.
+    static THRESHOLDS = {
+        falseTerrain: 60,
+        phantoms:     45,
+        garbledNames: 35,
+        falseJournal: 30,
+        falseChoices: 40,
+        hiddenChoices: 20,
+    };
+
+    // Nombre de silhouettes fantomes selon la sante mentale (seuil max -> nombre).
+    static PHANTOM_COUNTS = [
+        { max: 10, count: 3 },
+        { max: 25, count: 2 },
+        { max: 45, count: 1 },
+    ];
+
+    // Probabilite d'une fausse note de journal a chaque deplacement.
+    static FALSE_JOURNAL_CHANCE = 0.2;
+
+    // Glyphes substitues aux lettres des noms de lieux.
+    static GLYPHS = 'ᛟᚦ†ʘ¤ᛉ∴';
+
+    /**
+     * @param {StateManager} stateManager
+     * @param {Board} board
+     * @param {Random} random
+     */
+    constructor(stateManager, board, random) {
+        this._sm     = stateManager;
+        this._board  = board;
+        this._random = random;
+    }
+
+    // -------------------------------------------------------------------------
+    // Seuils
+
+    /**
+     * La distorsion est-elle active ?
+     * @param {string} effect - Cle de THRESHOLDS
+     * @returns {boolean}
+     */
+    isDistorted(effect) {
+        return this._sm.getState().player.sanity < SanitySystem.THRESHOLDS[effect];
+    }
+
+    /**
+     * Intensite d'une distorsion : 0 au seuil, 1 a sante mentale nulle.
+     * @param {string} effect
+     * @returns {number}
+     */
+    getIntensity(effect) {
+        const threshold = SanitySystem.THRESHOLDS[effect];
+        const { sanity } = this._sm.getState().player;
+        return Math.max(0, Math.min(1, (threshold - sanity) / threshold));
+    }
+
+    // -------------------------------------------------------------------------
+    // Perception du plateau (lue par BoardRenderer)
+
+    /**
+     * Type que le joueur croit deviner sous une tuile brumeuse.
+     * @param {Tile} tile
+     * @returns {string|null} Faux type, ou null si rien n'est deviné
+     */
+    getPerceivedType(tile) {
+        if (tile.fogState !== FOG_STATES.SHROUDED || !this.isDistorted('falseTerrain')) return null;
+
+        // Entre un tiers et la totalite des tuiles brumeuses mentent
+        const chance = 0.35 + 0.65 * this.getIntensity('falseTerrain');
+        if (this._hash('terrain', tile.q, tile.r) >= chance) return null;
+
+        const types = FALSE_TERRAIN_TYPES.filter(type => type !== tile.type);
+        return types[Math.floor(this._hash('type', tile.q, tile.r) * types.length)];
+    }
+
+    /**
+     * Silhouettes fantomes a dessiner cette phase, avec l'apparence d'un PNJ
+     * (de preference un disparu ou un mort).
+     * @returns {Array<{ id: string, met: boolean, position: { q, r }, phantom: true }>}
+     */
+    getPhantoms() {
+        if (!this.isDistorted('phantoms')) return [];
+        const state = this._sm.getState();
+        const { sanity } = state.player;
+        const count = SanitySystem.PHANTOM_COUNTS.find(step => sanity < step.max)?.count ?? 0;
+
+        const { q: pq, r: pr } = state.player.position;
+        const tiles = this._board.getAllTiles().filter(tile =>
+            tile.fogState !== FOG_STATES.HIDDEN
+            && tile.type !== TILE_TYPES.DEEP_WATER
+            && !(tile.q === pq && tile.r === pr));
+        if (tiles.length === 0) return [];
+
+        const npcs = Object.values(state.npcs).filter(Boolean);
+        const lost = npcs.filter(npc => npc.status === NPC_STATUS.DEAD || npc.status === NPC_STATUS.MISSING);
+        const faces = lost.length > 0 ? lost : npcs;
+        if (faces.length === 0) return [];
+
+        const phantoms = [];
+        for (let i = 0; i < count; i++) {
+            const tile = tiles[Math.floor(this._hash('phantom', i) * tiles.length)];
+            const face = faces[Math.floor(this._hash('face', i) * faces.length)];
+            phantoms.push({ id: face.id, met: face.met, position: { q: tile.q, r: tile.r }, phantom: true });
+        }
+        return phantoms;
+    }
+
+    /** Une silhouette fantome se tient-elle sur cette tuile ? */
+    isPhantomAt(q, r) {
+        return this.getPhantoms().some(p => p.position.q === q && p.position.r === r);
+    }
+
+    /**
+     * Nom de lieu tel que le joueur le lit.
+     * @param {string} name
+     * @returns {string}
+     */
+    perceiveName(name) {
+        if (!this.isDistorted('garbledNames')) return name;
+        const chance = 0.15 + 0.45 * this.getIntensity('garbledNames');
+        const glyphs = SanitySystem.GLYPHS;
+
+        return [...name].map((char, i) => {
+            if (char === ' ' || this._hash('name', name, i) >= chance) return char;
+            return glyphs[Math.floor(this._hash('glyph', name, i) * glyphs.length)];
+        }).join('');
+    }
+
+    // -------------------------------------------------------------------------
+    // Dialogues (filtre branche sur Game.showDialogue)
+
+    /**
+     * Altere un dialogue avant affichage : escamote un choix jouable,
+     * ou decale les textes des choix jouables (on clique un choix en en
+     * lisant un autre). Chaque choix garde `index`, le choix reellement joue.
+     * @param {{ speaker: string, text: string, choices: Array<Object> }} view
+     * @returns {Object} Vue alteree (ou inchangee)
+     */
+    filterDialogue(view) {
+        if (view.choices.filter(c => !c.disabled).length < 2) return view;
+        let choices = view.choices;
+
+        if (this.isDistorted('hiddenChoices')
+            && this._random.chance(0.25 + 0.5 * this.getIntensity('hiddenChoices'))) {
+            const playable = choices.filter(c => !c.disabled);
+            const hidden   = this._random.pick(playable);
+            choices = choices.filter(c => c !== hidden);
+        }
+
+        const playable = choices.filter(c => !c.disabled);
+        if (playable.length >= 2 && this.isDistorted('falseChoices')
+            && this._random.chance(0.25 + 0.5 * this.getIntensity('falseChoices'))) {
+            const shifted = new Map(playable.map((c, i) => [c, playable[(i + 1) % playable.length].text]));
+            choices = choices.map(c => shifted.has(c) ? { ...c, text: shifted.get(c) } : c);
+        }
+
+        return { ...view, choices };
+    }
+
+    // -------------------------------------------------------------------------
+    // Journal
+
+    /**
+     * Tente d'ajouter au journal une note que le joueur n'a jamais ecrite.
+     * Appele apres chaque deplacement.
+     * @returns {Object|null} Note ajoutee
+     */
+    rollJournalHallucination() {
+        if (!this.isDistorted('falseJournal')) return null;
+        if (!this._random.chance(SanitySystem.FALSE_JOURNAL_CHANCE)) return null;
+
+        const written = new Set(this._sm.getState().player.journal.map(entry => entry.id));
+        const pool    = HALLUCINATED_JOURNAL.filter(entry => !written.has(entry.id));
+        if (pool.length === 0) return null;
+
+        const entry = this._random.pick(pool);
+        this._sm.dispatch({ type: 'ADD_JOURNAL', payload: {
+            id: entry.id, text: entry.text, hallucination: true, target: entry.target,
+        } });
+        return entry;
+    }
+
+    /**
+     * Marque comme suivies les fausses notes qui menaient a cette tuile.
+     * @returns {Array<Object>} Notes suivies par ce deplacement
+     */
+    checkFollowed(q, r) {
+        const followed = this._sm.getState().player.journal.filter(entry =>
+            entry.hallucination && !entry.followed
+            && entry.target?.q === q && entry.target?.r === r);
+        for (const entry of followed) {
+            this._sm.dispatch({ type: 'FOLLOW_HALLUCINATION', payload: { id: entry.id } });
+        }
+        return followed;
+    }
+
+    // -------------------------------------------------------------------------
+    // Utilitaires
+
+    /**
+     * Hachage deterministe dans [0, 1) de la graine, de l'acte, de la phase
+     * et des parties.
+     * @returns {number}
+     */
+    _hash(...parts) {
+        const { act, phase } = this._sm.getState();
+        const key = [this._random.getSeed(), act, phase, ...parts].join(':');
+        let h = 2166136261;
+        for (let i = 0; i < key.length; i++) {
+            h ^= key.charCodeAt(i);
+            h = Math.imul(h, 16777619);
+        }
+        // Melange final : des cles voisines donnent des valeurs eloignees
+        h ^= h >>> 16;
+        h = Math.imul(h, 0x85ebca6b);
+        h ^= h >>> 13;
+        h = Math.imul(h, 0xc2b2ae35);
+        h ^= h >>> 16;
+        return (h >>> 0) / 4294967296;
+    }
+}
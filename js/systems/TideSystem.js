@@ -0,0 +1,95 @@
+/**
+ * TideSystem.js — Le Dernier Phare
+ *
+ * Cycle des marees (js/data/tides.js), cale sur les phases : la maree
+ * se deduit de l'acte et de la phase, rien n'est sauvegarde. A maree
+ * haute, les tuiles `tide: "high"` sont noyees ; hors maree basse, les
+ * tuiles `tide: "low"` (bancs de sable, Grotte des Marees) sont sous
+ * l'eau. PathFinder et BoardRenderer l'interrogent.
+ */
+
+import { TIDES, TIDE_CYCLE } from '../data/tides.js';
+
+export class TideSystem {
+
+    /** Ordre des phases d'une journee (un cran de maree chacune) */
+    static PHASES = ['dawn', 'day', 'dusk', 'night'];
+
+    /** Libelles des phases pour la prevision */
+    static PHASE_LABELS = { dawn: 'Aube', day: 'Jour', dusk: 'Crépuscule', night: 'Nuit' };
+
+    /**
+     * @param {StateManager} stateManager
+     */
+    constructor(stateManager) {
+        this._sm = stateManager;
+    }
+
+    // -------------------------------------------------------------------------
+    // Requêtes
+
+    /**
+     * Maree a un moment donne.
+     * @param {number} act
+     * @param {string} phase
+     * @returns {Object} Entree de TIDES
+     */
+    getTide(act, phase) {
+        const step = (act - 1) * TideSystem.PHASES.length + Math.max(0, TideSystem.PHASES.indexOf(phase));
+        return TIDES[TIDE_CYCLE[step % TIDE_CYCLE.length]];
+    }
+
+    /** Maree de la phase en cours. */
+    getCurrent() {
+        const { act, phase } = this._sm.getState();
+        return this.getTide(act, phase);
+    }
+
+    /**
+     * La tuile est-elle sous l'eau en ce moment ?
+     * @param {Tile} tile
+     * @returns {boolean}
+     */
+    isFlooded(tile) {
+        if (!tile.tide) return false;
+        const { level } = this.getCurrent();
+        return tile.tide === 'high' ? level === 'high' : level !== 'low';
+    }
+
+    /**
+     * Raison pour laquelle la maree interdit une tuile.
+     * @param {Tile} tile
+     * @returns {string|null} null si la tuile est praticable
+     */
+    blocksTile(tile) {
+        if (!this.isFlooded(tile)) return null;
+        return tile.tide === 'high'
+            ? 'La marée haute recouvre les rochers. Il faut attendre qu\'elle baisse.'
+            : 'Le passage est sous l\'eau. Seule la marée basse le découvre.';
+    }
+
+    /**
+     * Prevision des prochaines phases, phase en cours comprise.
+     * @param {number} [count=4]
+     * @returns {Array<{ act: number, phase: string, label: string, tide: Object }>}
+     */
+    getForecast(count = 4) {
+        const { act, phase } = this._sm.getState();
+        const phases   = TideSystem.PHASES;
+        const forecast = [];
+        let step = (act - 1) * phases.length + Math.max(0, phases.indexOf(phase));
+
+        for (let i = 0; i < count; i++, step++) {
+            const day      = Math.floor(step / phases.length) + 1;
+            const dayPhase = phases[step % phases.length];
+            if (day > 5) break;   // la partie s'acheve au cinquieme jour
+            forecast.push({
+                act:   day,
+                phase: dayPhase,
+                label: `Jour ${day} · ${TideSystem.PHASE_LABELS[dayPhase]}`,
+                tide:  this.getTide(day, dayPhase),
+            });
+        }
+        return forecast;
+    }
+}
@@ -2,6 +2,7 @@
  * TimeManager.js — Le Dernier Phare
  *
  * Gestion du cycle temporel : phases du jour, transitions, mouvements par acte.
+ * La meteo est tiree a l'aube (WeatherSystem) et corrige les mouvements du jour.
  * Delègue les appels d'affichage à des callbacks fournis par main.js.
  */
 
@@ -15,9 +16,10 @@ export class TimeManager {
     // Durée (ms) des transitions de phase avant de déclencher la suite.
     static TRANSITION_DURATION = 2500;
 
-    constructor(stateManager, resourceManager) {
-        this._sm  = stateManager;
-        this._rm  = resourceManager;
+    constructor(stateManager, resourceManager, weatherSystem) {
+        this._sm      = stateManager;
+        this._rm      = resourceManager;
+        this._weather = weatherSystem;
 
         // Callbacks injectés par main.js pour l'affichage
         this._callbacks = {
@@ -30,6 +32,9 @@ export class TimeManager {
             updateHUD:         null,  // () => void
             checkNewArrivals:  null,  // (act) => void
             updateValidMoves:  null,  // () => void
+            onPhaseChange:     null,  // (phase) => void — deplacement des PNJs
+            onNightStart:      null,  // (level) => void — faisceau du phare (false : eteint)
+            triggerNightEvent: null,  // (onEnd) => boolean — evenement de nuit joue
         };
     }
 
@@ -48,14 +53,20 @@ export class TimeManager {
         return TimeManager.MOVES_PER_ACT[Math.min(act - 1, 4)];
     }
 
+    /** Deplacements du jour : ceux de l'acte, corriges par la meteo (min. 1). */
+    getMovesForToday() {
+        const { act } = this._sm.getState();
+        return Math.max(1, this.getMovesForAct(act) + (this._weather?.getMovesModifier() ?? 0));
+    }
+
     // -------------------------------------------------------------------------
     // Déclencheurs
 
     /** Démarre la phase jour pour l'acte en cours. */
     startDay() {
-        const { act } = this._sm.getState();
-        const moves = this.getMovesForAct(act);
+        const moves = this.getMovesForToday();
         this._sm.dispatch({ type: 'SET_PHASE', payload: { phase: 'day', movesRemaining: moves } });
+        this._callbacks.onPhaseChange?.('day');
         this._callbacks.updateValidMoves?.();
         this._callbacks.updateHUD?.();
     }
@@ -63,6 +74,7 @@ export class TimeManager {
     /** Déclenche la transition vers le crépuscule. */
     transitionToDusk() {
         this._sm.dispatch({ type: 'SET_PHASE', payload: { phase: 'dusk', movesRemaining: 0 } });
+        this._callbacks.onPhaseChange?.('dusk');
         this._callbacks.showTransition?.('Crépuscule', 'Le soleil sombre derrière l\'horizon. Il est temps de préparer la nuit.');
         this._callbacks.updateValidMoves?.();
 
@@ -72,35 +84,38 @@ export class TimeManager {
     }
 
     // -------------------------------------------------------------------------
-    // Choix du crépuscule (phare oui/non)
+    // Choix du crépuscule (intensité du phare)
 
     _showDuskChoices() {
-        const state    = this._sm.getState();
-        const oilCost  = this._rm.getOilCostTonight(state.act);
-        const hasOil   = state.resources.oil >= oilCost;
+        const state   = this._sm.getState();
+        const oilCost = this._rm.getOilCostTonight(state.act);
+        const levels  = this._rm.getIntensityIds();
+        const costs   = levels.map(level => this._rm.getOilCostTonight(state.act, level));
+
+        const choices = levels.map((level, i) => {
+            const intensity = this._rm.getIntensity(level);
+            const canAfford = state.resources.oil >= costs[i];
+            return {
+                text: canAfford
+                    ? `${intensity.choice} (−${costs[i]} huile)`
+                    : `${intensity.choice} — pas assez d'huile (${state.resources.oil}/${costs[i]})`,
+                disabled: !canAfford,
+                effects: {}
+            };
+        });
+        choices.push({ text: 'Laisser le phare éteint cette nuit', effects: {} });
 
         this._callbacks.showDialogue?.({
             speaker: 'Narrateur',
-            text: `La nuit approche. Le phare réclame ${oilCost} unité${oilCost > 1 ? 's' : ''} d'huile pour éclairer cette nuit. Vous en avez ${state.resources.oil}.`,
-            choices: [
-                {
-                    text: hasOil
-                        ? `Allumer le phare (−${oilCost} huile)`
-                        : `Pas assez d'huile (${state.resources.oil}/${oilCost})`,
-                    disabled: !hasOil,
-                    effects: {}
-                },
-                {
-                    text: 'Laisser le phare éteint cette nuit',
-                    effects: {}
-                }
-            ],
+            text: `La nuit approche. Le phare réclame ${oilCost} unité${oilCost > 1 ? 's' : ''} d'huile pour un feu normal. Vous en avez ${state.resources.oil}. Quelle lumière donnerez-vous cette nuit ?`,
+            choices,
             onChoice: (index) => {
-                const lighthouseLit = (index === 0 && hasOil);
-                this._sm.dispatch({ type: 'SET_LIGHTHOUSE_NIGHT', payload: { lit: lighthouseLit } });
+                const affordable = index < levels.length && state.resources.oil >= costs[index];
+                const level      = affordable ? levels[index] : false;
+                this._sm.dispatch({ type: 'SET_LIGHTHOUSE_NIGHT', payload: { lit: Boolean(level), level } });
 
-                if (lighthouseLit) {
-                    this._callbacks.showNotification?.('Le phare éclaire la nuit.', 'info');
+                if (level) {
+                    this._callbacks.showNotification?.(this._rm.getIntensity(level).text, 'info');
                 } else {
                     this._callbacks.showNotification?.(
                         'Le phare reste éteint. L\'obscurité pèse sur votre esprit.',
@@ -109,7 +124,7 @@ export class TimeManager {
                 }
 
                 this._callbacks.closeDialogue?.();
-                this._transitionToNight(lighthouseLit);
+                this._transitionToNight(level);
             }
         });
     }
@@ -117,14 +132,23 @@ export class TimeManager {
     // -------------------------------------------------------------------------
     // Nuit
 
-    _transitionToNight(lighthouseLit) {
+    /** @param {string|false} level - Intensite du phare cette nuit (false : eteint) */
+    _transitionToNight(level) {
         this._sm.dispatch({ type: 'SET_PHASE', payload: { phase: 'night', movesRemaining: 0 } });
+        this._callbacks.onPhaseChange?.('night');
+        this._callbacks.onNightStart?.(level);
         this._callbacks.showTransition?.('Nuit', 'Les ténèbres engloutissent l\'île...');
 
         // Consommation nocturne
-        const result = this._rm.applyNightConsumption(lighthouseLit);
+        const result = this._rm.applyNightConsumption(level);
 
         // Notifications selon les manques
+        if (result.foodTrapped > 0) {
+            this._callbacks.showNotification?.(
+                `Les pièges ont rapporté ${result.foodTrapped} ration${result.foodTrapped > 1 ? 's' : ''}.`,
+                'loot'
+            );
+        }
         if (result.oilShortfall > 0) {
             this._callbacks.showNotification?.(
                 `Huile insuffisante : il manquait ${result.oilShortfall} unité${result.oilShortfall > 1 ? 's' : ''}.`,
@@ -139,6 +163,9 @@ export class TimeManager {
                 'danger'
             );
         }
+        if (result.sanityGain > 0) {
+            this._callbacks.showNotification?.(`Santé mentale +${result.sanityGain}`, 'info');
+        }
         if (result.sanityPenalty > 0) {
             this._callbacks.showNotification?.(
                 `Santé mentale −${result.sanityPenalty}`,
@@ -148,7 +175,8 @@ export class TimeManager {
 
         this._callbacks.updateHUD?.();
 
-        // Vérifier game over
+        // Vérifier game over (un danger à la tombée de la nuit a pu déjà l'acter)
+        if (this._sm.getState().gameOver) return;
         const gameOver = this._rm.checkGameOver(this._sm.getState());
         if (gameOver) {
             setTimeout(() => {
@@ -159,22 +187,23 @@ export class TimeManager {
         }
 
         setTimeout(() => {
-            this._showNightDialogue(lighthouseLit);
+            this._showNightDialogue(level);
         }, TimeManager.TRANSITION_DURATION);
     }
 
-    _showNightDialogue(lighthouseLit) {
+    _showNightDialogue(level) {
         const state = this._sm.getState();
 
         this._callbacks.showDialogue?.({
             speaker: 'Narrateur',
-            text: lighthouseLit
+            text: level
                 ? 'La lumière du phare balaie l\'obscurité. Vous scrutez l\'océan depuis la galerie. La nuit passe lentement, peuplée de bruits étranges.'
                 : 'Sans la lumière du phare, l\'île est plongée dans un noir absolu. Chaque bruit devient monstrueux. Chaque ombre prend forme.',
             choices: [{ text: 'Attendre l\'aube...', effects: {} }],
             onChoice: () => {
                 this._callbacks.closeDialogue?.();
-                this._transitionToDawn();
+                const played = this._callbacks.triggerNightEvent?.(() => this._transitionToDawn());
+                if (!played) this._transitionToDawn();
             }
         });
     }
@@ -192,15 +221,18 @@ export class TimeManager {
         }
 
         this._sm.dispatch({ type: 'NEXT_ACT' });
+        this._callbacks.onPhaseChange?.('dawn');
         const newState = this._sm.getState();
         const dayNum   = newState.act;
+        const weather  = this._weather?.roll();
 
-        this._callbacks.showTransition?.(
-            `Jour ${dayNum}`,
-            dayNum === 2 ? 'Un nouveau jour se lève. Le brouillard est toujours là.'
+        const subtitle = dayNum === 2 ? 'Un nouveau jour se lève. Le brouillard est toujours là.'
             : dayNum === 3 ? 'Le troisième jour. Les secrets de l\'île commencent à se dévoiler.'
             : dayNum === 4 ? 'Le quatrième jour. La tension est palpable.'
-            :                'Le dernier jour. Tout se joue maintenant.'
+            :                'Le dernier jour. Tout se joue maintenant.';
+        this._callbacks.showTransition?.(
+            `Jour ${dayNum}`,
+            weather ? `${subtitle} ${weather.dawnText}` : subtitle
         );
 
         setTimeout(() => {
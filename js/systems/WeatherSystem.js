@@ -0,0 +1,83 @@
+/**
+ * WeatherSystem.js — Le Dernier Phare
+ *
+ * Meteo du jour (js/data/weather.js) : tiree a chaque aube et conservee
+ * dans state.weather. Elle modifie le nombre de deplacements
+ * (TimeManager), la portee de vue (Board.sightModifier), les tuiles
+ * franchissables (PathFinder) et le butin ramasse (main.js).
+ */
+
+import { WEATHER } from '../data/weather.js';
+import { checkConditions } from '../narrative/Conditions.js';
+
+export class WeatherSystem {
+
+    /** Temps du premier jour, avant tout tirage */
+    static DEFAULT = 'calme';
+
+    /**
+     * @param {StateManager} stateManager
+     * @param {Random} random
+     */
+    constructor(stateManager, random) {
+        this._sm     = stateManager;
+        this._random = random;
+    }
+
+    // -------------------------------------------------------------------------
+    // Tirage
+
+    /**
+     * Tire le temps du jour parmi les meteos disponibles a cet acte.
+     * @returns {Object} La meteo retenue
+     */
+    roll() {
+        const state = this._sm.getState();
+        const ids   = Object.keys(WEATHER).filter(id => checkConditions(WEATHER[id].conditions, state));
+        const id    = this._random.weighted(ids, candidate => WEATHER[candidate].weight) ?? WeatherSystem.DEFAULT;
+
+        this._sm.dispatch({ type: 'SET_WEATHER', payload: { id } });
+        return WEATHER[id];
+    }
+
+    // -------------------------------------------------------------------------
+    // Requêtes
+
+    getCurrentId() {
+        const id = this._sm.getState().weather;
+        return WEATHER[id] ? id : WeatherSystem.DEFAULT;
+    }
+
+    getCurrent() {
+        return WEATHER[this.getCurrentId()];
+    }
+
+    /** Deplacements en plus ou en moins aujourd'hui. */
+    getMovesModifier() {
+        return this.getCurrent().moves ?? 0;
+    }
+
+    /** Portee de vue en plus ou en moins aujourd'hui. */
+    getSightModifier() {
+        return this.getCurrent().sight ?? 0;
+    }
+
+    /**
+     * Raison pour laquelle la meteo interdit une tuile aujourd'hui.
+     * @param {Tile} tile
+     * @returns {string|null} null si la tuile reste franchissable
+     */
+    blocksTile(tile) {
+        return this.getCurrent().closed?.[tile.type] ?? null;
+    }
+
+    /**
+     * Ressources en plus au butin d'une tuile (les objets ne changent pas).
+     * @param {Tile} tile
+     * @returns {number}
+     */
+    getLootBonus(tile) {
+        if (!tile.loot || tile.loot.type === 'item') return 0;
+        return this.getCurrent().loot?.[tile.type] ?? 0;
+    }
+}